@@ -1,15 +1,15 @@
 /**
- * WorldMedia — flat world map with selectable countries
- * GeoJSON: Natural Earth 110m countries (equirectangular projection)
+ * WorldMedia — world map (flat or globe) with selectable countries
+ * GeoJSON: Natural Earth 110m countries (equirectangular or orthographic projection)
  * Pan & zoom for desktop (drag, wheel) and mobile (drag, pinch).
  */
 
-// Map quality: URLs for each option (10m loaded from Natural Earth when selected)
-const GEOJSON_BY_QUALITY = {
-  low: "data/countries-110m.geojson",
-  medium: "data/countries.geojson",
-  high: "https://raw.githubusercontent.com/nvkelso/natural-earth-vector/master/geojson/ne_10m_admin_0_countries.geojson",
-};
+// Map geometry (built by scripts/build-map-tiles.sh): simplified world, then finer per-country tiles by zoom
+const MAP_WORLD_URL = "data/map/world.geojson";
+const MAP_DETAIL_LEVELS = [
+  { level: 1, minScale: 1.75, dir: "data/map/1" },
+  { level: 2, minScale: 3, dir: "data/map/2" },
+];
 
 const VIEW_WIDTH = 1000;
 const VIEW_HEIGHT = 500;
@@ -33,20 +33,66 @@ function project(lng, lat) {
   return [x, y];
 }
 
+// Globe radius in VIEW units; the sphere is centered in the 1000×500 viewBox (matches #globe-sphere in index.html)
+const GLOBE_RADIUS = 240;
+
+/** Active projection ("flat" | "globe"), set by applyMapProjection. */
+let mapProjection = "flat";
+/** Point of the globe facing the viewer; changed by drag, inertia and animateGlobeTo. */
+const GLOBE_INITIAL_ROTATION = { lng: 10, lat: 20 };
+const globeRotation = { ...GLOBE_INITIAL_ROTATION };
+
+/**
+ * Project [lng, lat] with the active projection -> [x, y, visible].
+ * Orthographic: points on the far side of the globe are not visible and are pushed to the horizon,
+ * so a polygon crossing the edge is clipped along the rim.
+ */
+function projectPoint(lng, lat) {
+  if (mapProjection !== "globe") {
+    const [x, y] = project(lng, lat);
+    return [x, y, true];
+  }
+  const rad = Math.PI / 180;
+  const dLng = (lng - globeRotation.lng) * rad;
+  const phi = lat * rad;
+  const phi0 = globeRotation.lat * rad;
+  let x = Math.cos(phi) * Math.sin(dLng);
+  let y = Math.cos(phi0) * Math.sin(phi) - Math.sin(phi0) * Math.cos(phi) * Math.cos(dLng);
+  const visible = Math.sin(phi0) * Math.sin(phi) + Math.cos(phi0) * Math.cos(phi) * Math.cos(dLng) >= 0;
+  if (!visible) {
+    const len = Math.hypot(x, y) || 1;
+    x /= len;
+    y /= len;
+  }
+  return [VIEW_WIDTH / 2 + x * GLOBE_RADIUS, VIEW_HEIGHT / 2 - y * GLOBE_RADIUS, visible];
+}
+
 /**
- * Convert GeoJSON Polygon or MultiPolygon to SVG path d attribute.
+ * Convert GeoJSON Polygon or MultiPolygon to SVG path d attribute (active projection).
+ * On the globe, rings entirely on the far side are dropped (back-face culling); returns "" when nothing is visible.
+ * If bounds ({ x0, y0, x1, y1 }) is given, it is grown to cover the drawn points.
  */
-function geometryToPath(geometry) {
+function geometryToPath(geometry, bounds = null) {
   const parts = [];
 
   function ringToPath(ring) {
-    const points = ring.map(([lng, lat]) => project(lng, lat));
-    if (points.length < 2) return "";
-    const [fx, fy] = points[0];
-    let d = `M ${fx} ${fy}`;
-    for (let i = 1; i < points.length; i++) {
-      d += ` L ${points[i][0]} ${points[i][1]}`;
-    }
+    const points = ring.map(([lng, lat]) => projectPoint(lng, lat));
+    if (points.length < 2 || !points.some((p) => p[2])) return "";
+    // 2 decimals is well below a pixel at MAX_SCALE and keeps the globe's per-frame path strings short
+    let d = "";
+    let prev = "";
+    points.forEach(([x, y]) => {
+      const xy = `${Math.round(x * 100) / 100} ${Math.round(y * 100) / 100}`;
+      if (xy === prev) return;
+      d += (d ? " L " : "M ") + xy;
+      prev = xy;
+      if (bounds) {
+        bounds.x0 = Math.min(bounds.x0, x);
+        bounds.y0 = Math.min(bounds.y0, y);
+        bounds.x1 = Math.max(bounds.x1, x);
+        bounds.y1 = Math.max(bounds.y1, y);
+      }
+    });
     return d + " Z";
   }
 
@@ -70,46 +116,96 @@ let pointerMovedDuringPan = false;
 
 const TOOLTIP_OFFSET = 14;
 
-// Natural Earth sometimes uses -99 for ISO (France, Portugal, Norway). Fallbacks by ISO_A3 and by country name.
-const ISO3_TO_ISO2_FALLBACK = { FRA: "FR", PRT: "PT", NOR: "NO", DEU: "DE", GBR: "GB", USA: "US" };
-const ISO2_TO_ISO3 = { FR: "FRA", PT: "PRT", NO: "NOR", DE: "DEU", GB: "GBR", US: "USA" };
-const NAME_TO_ISO_FALLBACK = {
-  France: { iso: "FRA", iso2: "FR" },
-  Portugal: { iso: "PRT", iso2: "PT" },
-  Norway: { iso: "NOR", iso2: "NO" },
-};
+// —— Country metadata (data/countries.json, built by scripts/build-countries.sh): ISO 3166 codes, names, aliases ——
+const COUNTRIES_URL = "data/countries.json";
+
+/** Entries by ISO2; by any code (ISO2, ISO3, numeric, Natural Earth ADM0_A3…); by normalized name or alias. */
+const countryByIso2 = new Map();
+const countryByCode = new Map();
+const countryByName = new Map();
+let countryMetadata = null;
+
+async function loadCountryMetadata() {
+  if (countryMetadata) return countryMetadata;
+  try {
+    const res = await fetch(COUNTRIES_URL);
+    countryMetadata = res.ok ? await res.json() : [];
+  } catch {
+    countryMetadata = [];
+  }
+  countryMetadata.forEach((entry) => {
+    countryByIso2.set(entry.iso2, entry);
+    [entry.iso2, entry.iso3, entry.numeric, ...(entry.codes || [])].forEach((code) => {
+      if (code && !countryByCode.has(code)) countryByCode.set(code, entry);
+    });
+  });
+  // Names before aliases, so an alias never shadows another country's own name
+  ["name", "official", "native", "aliases"].forEach((field) => {
+    countryMetadata.forEach((entry) => {
+      [].concat(entry[field] || []).forEach((name) => {
+        const key = normalizeSearchText(name);
+        if (key && !countryByName.has(key)) countryByName.set(key, entry);
+      });
+    });
+  });
+  return countryMetadata;
+}
 
 function isInvalidIso(v) {
   const s = String(v ?? "").trim();
   return !s || s === "-99" || /^-?\d+$/.test(s);
 }
 
+/** Metadata entry for an ISO2, ISO3 or numeric code, another known code, or a name/alias; null if unknown. */
+function findCountry(value) {
+  const s = String(value ?? "").trim();
+  if (!s || s === "-99") return null;
+  if (/^\d{1,3}$/.test(s)) return countryByCode.get(s.padStart(3, "0")) || null;
+  return countryByCode.get(s.toUpperCase()) || countryByName.get(normalizeSearchText(s)) || null;
+}
+
+/** ISO2 for any code or name ("ITA", "380", "Italy" -> "IT"); unknown 2-letter codes pass through; "" otherwise. */
+function resolveCountryIso2(value) {
+  const entry = findCountry(value);
+  if (entry) return entry.iso2;
+  const s = String(value ?? "").trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(s) ? s : "";
+}
+
 function normalizeIso2(iso2, iso3, name) {
-  const s = String(iso2 || "").trim();
+  const s = String(iso2 || "").trim().toUpperCase();
   if (s.length === 2 && !isInvalidIso(s)) return s;
-  const fromA3 = iso3 && ISO3_TO_ISO2_FALLBACK[String(iso3).toUpperCase()];
-  if (fromA3) return fromA3;
-  const fromName = name && NAME_TO_ISO_FALLBACK[name];
-  return (fromName && fromName.iso2) || "";
+  const entry = (!isInvalidIso(iso3) && findCountry(iso3)) || findCountry(name);
+  return entry ? entry.iso2 : "";
 }
 
 function normalizeIsoDisplay(iso3, iso2, name) {
   const a3 = String(iso3 || "").trim();
-  const a2 = String(iso2 || "").trim();
   if (a3 && !isInvalidIso(a3)) return a3;
-  if (a2.length === 2 && !isInvalidIso(a2)) return a2;
-  const fromName = name && NAME_TO_ISO_FALLBACK[name];
-  if (fromName) return fromName.iso;
-  return "";
+  const entry = findCountry(iso2) || findCountry(name);
+  if (entry) return entry.iso3;
+  const a2 = String(iso2 || "").trim();
+  return a2.length === 2 && !isInvalidIso(a2) ? a2 : "";
+}
+
+/**
+ * { iso, iso2 } for a Natural Earth feature. Features with -99 codes (France, Norway, Kosovo, N. Cyprus,
+ * Somaliland…) resolve through the _EH codes, ADM0_A3 or the name.
+ */
+function getFeatureIso(p, name) {
+  const entry = [p.ISO_A2, p.ISO_A3, p.ISO_A2_EH, p.ISO_A3_EH, p.ADM0_A3, name].reduce((found, v) => found || findCountry(v), null);
+  if (entry) return { iso: entry.iso3, iso2: entry.iso2 };
+  return { iso: normalizeIsoDisplay(p.ISO_A3, p.ISO_A2, name), iso2: normalizeIso2(p.ISO_A2, p.ISO_A3, name) };
 }
 
-// Flags: Flagcdn.com (ISO 3166-1 alpha-2, lowercase). Sizes: w40, w80, w160.
-const FLAG_CDN = "https://flagcdn.com";
-function getFlagUrl(iso2, width = 40) {
-  if (!iso2 || iso2.length !== 2 || iso2 === "-9") return null;
-  const code = String(iso2).toLowerCase();
-  if (code === "xx" || /^-?\d+$/.test(code)) return null;
-  return `${FLAG_CDN}/w${width}/${code}.png`;
+// Flags: bundled SVGs in assets/flags/<ISO2>.svg (scripts/build-flags.sh), one per metadata entry except
+// the user-assigned codes the flag set lacks (N. Cyprus, Somaliland). Kosovo (XK) has one.
+const FLAGS_DIR = "assets/flags";
+function getFlagUrl(iso2) {
+  const code = String(iso2 || "").toUpperCase();
+  const entry = code.length === 2 ? countryByIso2.get(code) : null;
+  if (!entry || (entry.status === "user-assigned" && code !== "XK")) return null;
+  return `${FLAGS_DIR}/${code}.svg`;
 }
 
 function showTooltip(e, pathEl) {
@@ -118,11 +214,17 @@ function showTooltip(e, pathEl) {
   const name = pathEl.getAttribute("data-name") || "Unknown";
   const iso = pathEl.getAttribute("data-iso");
   const iso2 = pathEl.getAttribute("data-iso2");
-  const flagUrl = getFlagUrl(iso2, 40);
+  const flagUrl = getFlagUrl(iso2);
+  const density = pathEl.getAttribute("data-density");
   const flagImg = flagUrl ? `<img class="map-tooltip-flag" src="${escapeHtml(flagUrl)}" alt="" width="40" height="30">` : "";
+  const countLine = density ? `<span class="map-tooltip-count">${escapeHtml(density)}</span>` : "";
+  const local = getCountryLocalTime(iso2);
+  const timeLine = local
+    ? `<span class="map-tooltip-time">${escapeHtml(local.text)} local time${isPrimeTime(local.hour) ? " · prime time" : ""}</span>`
+    : "";
   tooltip.innerHTML = flagImg + (iso
-    ? `<strong class="map-tooltip-name">${escapeHtml(name)}</strong><span class="map-tooltip-iso">${escapeHtml(iso)}</span><span class="map-tooltip-hint">Click to select</span>`
-    : `<strong class="map-tooltip-name">${escapeHtml(name)}</strong><span class="map-tooltip-hint">Click to select</span>`);
+    ? `<strong class="map-tooltip-name">${escapeHtml(name)}</strong><span class="map-tooltip-iso">${escapeHtml(iso)}</span>${countLine}${timeLine}<span class="map-tooltip-hint">Click to select</span>`
+    : `<strong class="map-tooltip-name">${escapeHtml(name)}</strong>${countLine}${timeLine}<span class="map-tooltip-hint">Click to select</span>`);
   tooltip.classList.add("map-tooltip--visible");
   tooltip.setAttribute("aria-hidden", "false");
   requestAnimationFrame(() => moveTooltip(e));
@@ -158,22 +260,92 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
-/** URL state for direct links: ?country=XX&channel=slug */
+/**
+ * URL state for direct links:
+ *   ?country=XX or ?category=Name  what the sidebar lists (country may be ISO2, ISO3, numeric or a name; returned as ISO2)
+ *   &channel=id                    channel open in the player (channelId; old name slugs still resolve)
+ *   &type=tv&source=iptv-org&region=US-CA&q=news   channel list filters
+ *   &lang=french,english&genre=news&quality=hd      metadata filters (several values: any of them matches)
+ *   &zoom=2&lat=48.9&lng=2.3       map viewport: scale and the center of the view (on the globe, the point facing the viewer)
+ *   &projection=globe              see getMapProjection
+ */
 function getUrlState() {
   const params = new URLSearchParams(window.location.search);
-  const country = params.get("country")?.trim().toUpperCase();
+  const country = resolveCountryIso2(params.get("country"));
+  const category = params.get("category")?.trim();
   const channel = params.get("channel")?.trim();
-  return { country: country && country.length === 2 ? country : null, channel: channel || null };
+  const [zoom, lat, lng] = ["zoom", "lat", "lng"].map((key) => (params.has(key) ? Number(params.get(key)) : NaN));
+  const map = [zoom, lat, lng].every(Number.isFinite) ? { zoom, lat, lng } : null;
+  return {
+    country: category ? null : country || null,
+    category: category || null,
+    channel: channel || null,
+    type: params.get("type") || "",
+    source: params.get("source") || "",
+    region: params.get("region") || "",
+    q: params.get("q") || "",
+    lang: params.get("lang") || "",
+    genre: params.get("genre") || "",
+    quality: params.get("quality") || "",
+    map,
+  };
 }
 
+/** Param names written by setUrlFilters, cleared when the selection changes. */
+const URL_FILTER_PARAMS = ["type", "source", "region", "q", "lang", "genre", "quality"];
+/** True while applyUrlState replays the URL, so selections it triggers don't push new history entries. */
+let applyingUrlState = false;
+/** getSelectionKey of the selection shown in the sidebar (last written by setUrlState). */
+let urlSelectionKey = "";
+
+/**
+ * Sets the selection ({ country } or { category }, or {} for none) and optionally { channel }; other params
+ * (e.g. ?projection=, ?zoom=) are kept. A new selection pushes a history entry (back returns to the previous
+ * country) and drops the channel and filters of the old one; the same selection keeps its channel unless given.
+ */
 function setUrlState(state) {
-  const params = new URLSearchParams();
-  if (state.country && state.country.length === 2) params.set("country", state.country.toUpperCase());
+  const params = new URLSearchParams(window.location.search);
+  const current = getUrlState();
+  const country = state.country && state.country.length === 2 ? state.country.toUpperCase() : "";
+  const category = state.category || "";
+  const changed = country !== (current.country || "") || category !== (current.category || "");
+  params.delete("country");
+  params.delete("category");
+  if (country) params.set("country", country);
+  else if (category) params.set("category", category);
+  if (changed) URL_FILTER_PARAMS.forEach((key) => params.delete(key));
+  if (changed || "channel" in state) params.delete("channel");
   if (state.channel) params.set("channel", state.channel);
+  urlSelectionKey = getSelectionKey({ country, category });
+  updateUrlParams(params, changed && !applyingUrlState);
+}
+
+/** Sets or clears ?channel= for the current selection (player open/close). */
+function setUrlChannel(id) {
+  const params = new URLSearchParams(window.location.search);
+  if (id) params.set("channel", id);
+  else params.delete("channel");
+  updateUrlParams(params);
+}
+
+/** Mirrors the channel list filters into the URL ({ type, source, region, q, lang, genre, quality }; empty values are removed). */
+function setUrlFilters(filters) {
+  const params = new URLSearchParams(window.location.search);
+  URL_FILTER_PARAMS.forEach((key) => {
+    if (filters[key]) params.set(key, filters[key]);
+    else params.delete(key);
+  });
+  updateUrlParams(params);
+}
+
+/** Replace the current history entry with params, or push a new one (back/forward, see initUrlHistory). */
+function updateUrlParams(params, push = false) {
   const query = params.toString();
   const hash = window.location.hash || "";
   const url = window.location.pathname + (query ? `?${query}` : "") + hash;
-  window.history.replaceState(null, "", url);
+  if (url === window.location.pathname + window.location.search + hash) return;
+  if (push) window.history.pushState(null, "", url);
+  else window.history.replaceState(null, "", url);
 }
 
 function channelSlug(ch) {
@@ -181,16 +353,43 @@ function channelSlug(ch) {
   return name.replace(/\s+/g, "-").replace(/[^a-z0-9-]/g, "").replace(/-+/g, "-").replace(/^-|-$/g, "") || "channel";
 }
 
-function findChannelBySlug(channels, slug) {
-  if (!slug || !Array.isArray(channels)) return null;
-  const s = slug.toLowerCase();
-  return channels.find((ch) => channelSlug(ch) === s) || null;
+/** Stable id given at import ("<source>:<upstream id>", or "<source>:<URL hash>"); the name slug for records without one. */
+function channelId(ch) {
+  return ch.id ? String(ch.id) : channelSlug(ch);
+}
+
+/**
+ * Id stored in a favorites/trash/history/alarm entry; entries saved before ids only have the name slug. Entries keep
+ * the stream URL next to the id so migrateChannelRefs can find the channel again when an import changes its id.
+ */
+function channelRefId(entry) {
+  return entry ? String(entry.channelId || entry.slug || "") : "";
+}
+
+/** Stream URL kept in stored entries (trimmed, as import.sh hashes it for ids). */
+function channelRefUrl(ch) {
+  return String(ch.url || "").trim();
+}
+
+/** Channel (or the group holding the variant) with this id; old name slugs from links and unmigrated entries still match. */
+function findChannelById(channels, id) {
+  if (!id || !Array.isArray(channels)) return null;
+  const s = id.toLowerCase();
+  const byId = (ch) => channelId(ch) === id;
+  const bySlug = (ch) => channelSlug(ch) === s;
+  const inGroup = (match) => (ch) => Array.isArray(ch.variants) && ch.variants.some(match);
+  return channels.find(byId) || channels.find(inGroup(byId))
+    || channels.find(bySlug) || channels.find(inGroup(bySlug))
+    || null;
 }
 
 /** Set by initMap when map is ready; used by favorites to select country and play. */
 let currentSelectByIso2 = null;
 
-/** Cached all channels for resolving favorites (iso+slug -> channel). */
+/** Pan/zoom API from initPanZoom, set by initMap (webcam pins read the scale and zoom into clusters). */
+let mapPanZoomApi = null;
+
+/** Cached all channels for resolving favorites (iso + channel id -> channel). */
 let allChannelsCache = null;
 
 async function loadAllChannels() {
@@ -206,15 +405,30 @@ async function loadAllChannels() {
   }
 }
 
-function resolveFavoriteChannel(entry) {
-  if (!entry || entry.type !== "channel") return null;
+/** Channel for a stored { iso, channelId } reference (favorites, history), from allChannelsCache; null when gone. */
+function resolveChannelRef(iso, id) {
   const channels = allChannelsCache || [];
-  return findChannelBySlug(
-    channels.filter((ch) => (ch.iso || "").toUpperCase() === (entry.iso || "").toUpperCase()),
-    entry.slug
+  return findChannelById(
+    channels.filter((ch) => (ch.iso || "").toUpperCase() === (iso || "").toUpperCase()),
+    id
   ) || null;
 }
 
+function resolveFavoriteChannel(entry) {
+  if (!entry || entry.type !== "channel") return null;
+  return resolveChannelRef(entry.iso, channelRefId(entry));
+}
+
+/** Select the channel's country (loading its list) and play it from there, so zapping works from the opened channel. */
+function openChannelRef(iso, id) {
+  const play = (channels) => {
+    const found = findChannelById(channels, id);
+    if (found) openPlayerModal(found);
+  };
+  if (currentSelectByIso2) currentSelectByIso2(iso, play);
+  else loadChannelsForCountry(iso, play);
+}
+
 // —— Favorites (localStorage) ——
 const FAVORITES_STORAGE_KEY = "worldmedia-favorites";
 
@@ -255,23 +469,23 @@ function flattenFavoriteChannels(items) {
   return out;
 }
 
-function isChannelInFavorites(iso, slug) {
+function isChannelInFavorites(iso, id) {
   const flat = flattenFavoriteChannels(getFavorites().items);
   const normIso = (iso || "").toUpperCase();
-  const normSlug = (slug || "").toLowerCase();
-  return flat.some((it) => (it.iso || "").toUpperCase() === normIso && (it.slug || "").toLowerCase() === normSlug);
+  return flat.some((it) => (it.iso || "").toUpperCase() === normIso && channelRefId(it) === id);
 }
 
 function addChannelToFavorites(ch) {
   const iso = (ch.iso || "").toUpperCase();
-  const slug = channelSlug(ch);
-  if (isChannelInFavorites(iso, slug)) return;
+  const id = channelId(ch);
+  if (isChannelInFavorites(iso, id)) return;
   const data = getFavorites();
   data.items.push({
     id: favId(),
     type: "channel",
     iso,
-    slug,
+    channelId: id,
+    url: channelRefUrl(ch),
     name: ch.name || "Channel",
   });
   setFavorites(data);
@@ -293,10 +507,10 @@ function removeFavoriteById(id) {
   if (removeFrom(data.items)) setFavorites(data);
 }
 
-function removeChannelFromFavorites(iso, slug) {
+function removeChannelFromFavorites(iso, id) {
   const flat = flattenFavoriteChannels(getFavorites().items);
   const entry = flat.find(
-    (it) => (it.iso || "").toUpperCase() === (iso || "").toUpperCase() && (it.slug || "").toLowerCase() === (slug || "").toLowerCase()
+    (it) => (it.iso || "").toUpperCase() === (iso || "").toUpperCase() && channelRefId(it) === id
   );
   if (entry) removeFavoriteById(entry.id);
 }
@@ -397,25 +611,24 @@ function setTrash(list) {
   dispatchEvent(new CustomEvent("worldmedia-trash-changed"));
 }
 
-function isChannelInTrash(iso, slug) {
+function isChannelInTrash(iso, id) {
   const list = getTrash();
   const normIso = (iso || "").toUpperCase();
-  const normSlug = (slug || "").toLowerCase();
-  return list.some((e) => (e.iso || "").toUpperCase() === normIso && (e.slug || "").toLowerCase() === normSlug);
+  return list.some((e) => (e.iso || "").toUpperCase() === normIso && channelRefId(e) === id);
 }
 
 function addChannelToTrash(ch) {
   const iso = (ch.iso || "").toUpperCase();
-  const slug = channelSlug(ch);
-  if (isChannelInTrash(iso, slug)) return;
+  const id = channelId(ch);
+  if (isChannelInTrash(iso, id)) return;
   const list = getTrash();
-  list.push({ iso, slug, name: ch.name || "Channel" });
+  list.push({ iso, channelId: id, url: channelRefUrl(ch), name: ch.name || "Channel" });
   setTrash(list);
 }
 
-function removeChannelFromTrash(iso, slug) {
+function removeChannelFromTrash(iso, id) {
   const list = getTrash().filter(
-    (e) => (e.iso || "").toUpperCase() !== (iso || "").toUpperCase() || (e.slug || "").toLowerCase() !== (slug || "").toLowerCase()
+    (e) => (e.iso || "").toUpperCase() !== (iso || "").toUpperCase() || channelRefId(e) !== id
   );
   setTrash(list);
 }
@@ -424,6 +637,156 @@ function emptyTrash() {
   setTrash([]);
 }
 
+// —— Channel id migration (localStorage): stored entries follow their channel's import id when the ids change ——
+/** Holds the manifest's "ids" version the entries were last matched against. */
+const CHANNEL_IDS_MIGRATED_KEY = "worldmedia-channel-ids-migrated";
+
+/** All records of a country's source files (every code getChannelLoadCodes tries); null when a file failed to load. */
+async function fetchCountryChannelRecords(iso) {
+  const [manifest] = await Promise.all([loadChannelManifest(), loadCountryMetadata()]);
+  const paths = getChannelLoadCodes(iso).flatMap((code) => getCountryChannelFiles(manifest, code));
+  const lists = await Promise.all(paths.map(async (path) => {
+    try {
+      const res = await fetch(path);
+      return res.ok ? (await res.json()).channels || [] : null;
+    } catch {
+      return null;
+    }
+  }));
+  return lists.includes(null) ? null : lists.flat();
+}
+
+/**
+ * Match favorites, trash, history and alarm entries against the channels of their country whenever the manifest's
+ * "ids" version (a checksum of all channel ids, see import.sh) differs from the one last matched: an entry whose id
+ * still exists gets the channel's current stream URL, else its URL finds the channel's new id (a re-import that
+ * moved channels from URL-hash ids to upstream ids). Entries saved before ids, with only a name slug, are matched by
+ * that slug once. Unmatched entries are left as they are; a failed download leaves the migration to the next visit.
+ */
+async function migrateChannelRefs() {
+  const manifest = await loadChannelManifest();
+  const version = manifest.ids || "";
+  try {
+    if (!version || localStorage.getItem(CHANNEL_IDS_MIGRATED_KEY) === version) return;
+  } catch {
+    return;
+  }
+  const favorites = getFavorites();
+  const trash = getTrash();
+  const history = getHistory();
+  const alarm = getAlarm();
+  const entries = [...flattenFavoriteChannels(favorites.items), ...trash, ...history, ...(alarm ? [alarm] : [])]
+    .filter((e) => e.slug || e.channelId);
+  let complete = true;
+  if (entries.length > 0) {
+    const isos = [...new Set(entries.map((e) => (e.iso || "").toUpperCase()))];
+    const records = await Promise.all(isos.map(fetchCountryChannelRecords));
+    const byIso = new Map(isos.map((iso, i) => [iso, records[i] || []]));
+    complete = !records.includes(null);
+    let changed = 0;
+    entries.forEach((e) => {
+      const channels = byIso.get((e.iso || "").toUpperCase());
+      const url = String(e.url || "").trim();
+      const slug = String(e.slug || "").toLowerCase();
+      const ch = e.channelId
+        ? channels.find((c) => c.id === e.channelId) || (url && channels.find((c) => c.id && channelRefUrl(c) === url))
+        : slug && channels.find((c) => c.id && channelSlug(c) === slug);
+      if (!ch) return;
+      if (e.channelId === String(ch.id) && e.url === channelRefUrl(ch) && !("slug" in e)) return;
+      e.channelId = String(ch.id);
+      e.url = channelRefUrl(ch);
+      delete e.slug;
+      changed++;
+    });
+    if (changed > 0) {
+      setFavorites(favorites);
+      setTrash(trash);
+      setHistory(history);
+      if (alarm && alarm.channelId) setAlarm(alarm);
+    }
+  }
+  if (!complete) return;
+  try {
+    localStorage.setItem(CHANNEL_IDS_MIGRATED_KEY, version);
+  } catch (_) {}
+}
+
+// —— Watch history (localStorage): one entry per openPlayerModal, newest first ——
+const HISTORY_STORAGE_KEY = "worldmedia-history";
+const HISTORY_MAX_ENTRIES = 200;
+
+/** Entry being watched: { id, start }; its duration is written when the player closes or switches channel. */
+let historySession = null;
+
+function getHistory() {
+  try {
+    const raw = localStorage.getItem(HISTORY_STORAGE_KEY);
+    const list = raw ? JSON.parse(raw) : null;
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function setHistory(list) {
+  const payload = Array.isArray(list) ? list.slice(0, HISTORY_MAX_ENTRIES) : [];
+  try {
+    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(payload));
+  } catch (_) {}
+  dispatchEvent(new CustomEvent("worldmedia-history-changed"));
+}
+
+function addHistoryEntry(ch) {
+  const list = getHistory();
+  const entry = {
+    id: "h_" + Date.now() + "_" + Math.random().toString(36).slice(2, 10),
+    iso: (ch.iso || "").toUpperCase(),
+    channelId: channelId(ch),
+    url: channelRefUrl(ch),
+    name: ch.name || "Channel",
+    type: String(ch.type || "tv").toLowerCase(),
+    at: Date.now(),
+    duration: 0,
+  };
+  list.unshift(entry);
+  setHistory(list);
+  return entry;
+}
+
+function removeHistoryEntry(id) {
+  setHistory(getHistory().filter((e) => e.id !== id));
+}
+
+function clearHistory() {
+  setHistory([]);
+}
+
+/** Write the watched time of the current session, if any. */
+function finishHistorySession() {
+  if (!historySession) return;
+  const { id, start } = historySession;
+  historySession = null;
+  const list = getHistory();
+  const entry = list.find((e) => e.id === id);
+  if (!entry) return;
+  entry.duration = Math.max(0, Math.round((Date.now() - start) / 1000));
+  setHistory(list);
+}
+
+function startHistorySession(ch) {
+  finishHistorySession();
+  const entry = addHistoryEntry(ch);
+  historySession = { id: entry.id, start: Date.now() };
+}
+
+/** "45 s", "12 min", "1 h 05" */
+function formatWatchDuration(seconds) {
+  if (seconds < 60) return `${seconds} s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, "0")}`;
+}
+
 function moveFavoriteUpDown(itemId, dir) {
   const data = getFavorites();
   function flatWithPath(items, pathPrefix) {
@@ -469,6 +832,17 @@ function isHlsUrl(url) {
   return /\.m3u8(\?|$)/i.test(url) || url.includes("m3u8");
 }
 
+/** YouTube channels store either a full embed URL or a bare video/live id. */
+function getYoutubeEmbedUrl(url) {
+  return url.startsWith("http") ? url : `https://www.youtube-nocookie.com/embed/${url}`;
+}
+
+/** Windy webcams are iframe embeds; returns the embed URL, or null for plain image/MJPEG webcams. */
+function getWindyEmbedUrl(url) {
+  if (!/windy\.com/i.test(url)) return null;
+  return url.startsWith("http") ? url : `https://embed.windy.com/${url}`;
+}
+
 /**
  * Open the player modal for a channel (TV or radio) and start streaming.
  * Uses hls.js for HLS (.m3u8) streams so they work in Chrome/Firefox as well as Safari.
@@ -504,6 +878,7 @@ function openPlayerModal(channel) {
   const isWebcam = mediaType === "webcam";
 
   // Stop any current playback and clear
+  stopPlayerRecording();
   if (playerHls) {
     playerHls.destroy();
     playerHls = null;
@@ -517,6 +892,7 @@ function openPlayerModal(channel) {
 
   currentPlayerChannel = channel;
   titleEl.textContent = channel.name || "Channel";
+  modal.classList.toggle("player-modal--radio", isRadio);
 
   const typeLabels = { tv: "TV", radio: "Radio", youtube: "YouTube", webcam: "Webcam" };
   const typeLabel = typeLabels[mediaType] || "TV";
@@ -588,65 +964,23 @@ function openPlayerModal(channel) {
   if (!url) {
     errorEl.textContent = "No stream URL for this channel.";
     errorEl.hidden = false;
+    updatePlayerVariantUi(channel, 0);
     modal.hidden = false;
     modal.setAttribute("aria-hidden", "false");
+    markPlayingChannelItem();
+    updatePlayerZapButtons();
+    dispatchEvent(new CustomEvent("worldmedia-player-opened", { detail: { channel } }));
     return;
   }
 
-  if (isWebcam) {
-    const isWindyEmbed = /windy\.com/i.test(url);
-    if (isWindyEmbed && webcamIframe) {
-      webcamIframe.hidden = false;
-      webcamIframe.src = url.startsWith("http") ? url : `https://embed.windy.com/${url}`;
-      if (webcamImage) webcamImage.hidden = true;
-    } else if (webcamImage) {
-      webcamImage.hidden = false;
-      webcamImage.src = url;
-      webcamImage.onerror = () => {
-        errorEl.textContent = "Could not load webcam stream. It may be unavailable or blocked.";
-        errorEl.hidden = false;
-      };
-      if (webcamIframe) webcamIframe.hidden = true;
-    }
-  } else if (isYoutube && youtubeIframe) {
-    youtubeIframe.src = url.startsWith("http") ? url : `https://www.youtube-nocookie.com/embed/${url}`;
-  } else if (isRadio) {
-    audioEl.src = url;
-    audioEl.play().catch(() => {
-      errorEl.textContent = "Could not play stream. It may be unavailable or blocked.";
-      errorEl.hidden = false;
-    });
-  } else {
-    const showError = (msg) => {
-      errorEl.textContent = msg || "Could not play stream.";
-      errorEl.hidden = false;
-    };
-    if (isHlsUrl(url) && typeof Hls !== "undefined" && Hls.isSupported()) {
-      playerHls = new Hls({ enableWorker: true });
-      playerHls.loadSource(url);
-      playerHls.attachMedia(videoEl);
-      playerHls.on(Hls.Events.ERROR, (event, data) => {
-        if (data.fatal) {
-          showError("Stream error. The source may be unavailable or blocked.");
-        }
-      });
-      videoEl.play().catch(() => showError("Playback failed. The stream may be unavailable."));
-    } else if (isHlsUrl(url) && videoEl.canPlayType("application/vnd.apple.mpegurl")) {
-      // Safari native HLS
-      videoEl.src = url;
-      videoEl.play().catch(() => showError("Playback failed. The stream may be unavailable."));
-    } else {
-      videoEl.src = url;
-      videoEl.play().catch(() => showError("Could not play stream. It may be unavailable or in an unsupported format."));
-    }
-  }
+  playChannelVariant(channel, 0);
 
   const iso = (channel.iso || "").toUpperCase();
-  const slug = channelSlug(channel);
+  const id = channelId(channel);
   const favBtn = document.getElementById("player-modal-fav");
   if (favBtn) {
     const updateFavBtn = () => {
-      const inFav = isChannelInFavorites(iso, slug);
+      const inFav = isChannelInFavorites(iso, id);
       favBtn.classList.toggle("is-favorite", inFav);
       favBtn.setAttribute("aria-label", inFav ? "Remove from favorites" : "Add to favorites");
       favBtn.title = inFav ? "Remove from favorites" : "Add to favorites";
@@ -655,7 +989,7 @@ function openPlayerModal(channel) {
     favBtn.onclick = (e) => {
       e.preventDefault();
       e.stopPropagation();
-      if (isChannelInFavorites(iso, slug)) removeChannelFromFavorites(iso, slug);
+      if (isChannelInFavorites(iso, id)) removeChannelFromFavorites(iso, id);
       else addChannelToFavorites(channel);
       updateFavBtn();
     };
@@ -663,7 +997,7 @@ function openPlayerModal(channel) {
 
   const trashBtn = document.getElementById("player-modal-trash");
   if (trashBtn) {
-    const inTrash = isChannelInTrash(iso, slug);
+    const inTrash = isChannelInTrash(iso, id);
     trashBtn.hidden = false;
     trashBtn.classList.toggle("in-trash", inTrash);
     trashBtn.setAttribute("aria-label", inTrash ? "Remove from trash" : "Add to trash");
@@ -672,8 +1006,8 @@ function openPlayerModal(channel) {
     trashBtn.onclick = (e) => {
       e.preventDefault();
       e.stopPropagation();
-      if (isChannelInTrash(iso, slug)) {
-        removeChannelFromTrash(iso, slug);
+      if (isChannelInTrash(iso, id)) {
+        removeChannelFromTrash(iso, id);
         trashBtn.classList.remove("in-trash");
         trashBtn.setAttribute("aria-label", "Add to trash");
         trashBtn.title = "Add to trash";
@@ -684,31 +1018,82 @@ function openPlayerModal(channel) {
     };
   }
 
+  const mosaicBtn = document.getElementById("player-modal-mosaic");
+  if (mosaicBtn) {
+    mosaicBtn.onclick = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      addChannelToMosaic(channel);
+    };
+  }
+
   modal.hidden = false;
   modal.setAttribute("aria-hidden", "false");
+  markPlayingChannelItem();
+  updatePlayerZapButtons();
+  updatePipButton();
+  dispatchEvent(new CustomEvent("worldmedia-player-opened", { detail: { channel } }));
+
+  const { country, category } = getUrlState();
+  if (country || category) setUrlChannel(channelId(channel));
+}
+
+/** Time to wait for the first frame before failing over to the next stream variant. */
+const STREAM_START_TIMEOUT_MS = 12000;
+
+/** Index of the variant playing in the modal, and a counter so late events from a replaced attempt are ignored. */
+let playerVariantIndex = 0;
+let playerAttempt = 0;
+let playerStartTimer = null;
+
+/** Stream variants of a logical channel (see groupChannelVariants); a plain channel is its own single variant. */
+function getChannelVariants(channel) {
+  return Array.isArray(channel.variants) && channel.variants.length ? channel.variants : [channel];
+}
 
-  const selectedPath = document.querySelector(".country.selected");
-  const iso2 = selectedPath?.getAttribute("data-iso2");
-  if (iso2) setUrlState({ country: iso2, channel: channelSlug(channel) });
+/** Show "Stream 2 of 3 · Source" and a picker in the modal header when the channel has alternates. */
+function updatePlayerVariantUi(channel, index) {
+  const variantEl = document.getElementById("player-modal-variant");
+  const selectEl = document.getElementById("player-modal-variant-select");
+  const variants = getChannelVariants(channel);
+  if (!variantEl || !selectEl) return;
+  variantEl.hidden = variants.length < 2;
+  if (variants.length < 2) return;
+  selectEl.innerHTML = "";
+  variants.forEach((v, i) => {
+    const opt = document.createElement("option");
+    opt.value = String(i);
+    const source = (v.source_name && String(v.source_name).trim()) || "";
+    opt.textContent = `Stream ${i + 1} of ${variants.length}` + (source ? ` · ${source}` : "");
+    selectEl.appendChild(opt);
+  });
+  selectEl.value = String(index);
+  selectEl.onchange = () => playChannelVariant(channel, Number(selectEl.value));
 }
 
 /**
- * Close the player modal and stop playback.
+ * Start variant `index` of the channel in the modal's media elements. TV and radio fail over to the next
+ * variant on a fatal error or when no frame arrives within STREAM_START_TIMEOUT_MS; the last failure is shown.
  */
-function closePlayerModal() {
-  currentPlayerChannel = null;
-  const modal = document.getElementById("player-modal");
-  const videoEl = document.getElementById("player-video");
-  const audioEl = document.getElementById("player-audio");
+function playChannelVariant(channel, index) {
+  const errorEl = document.getElementById("player-error");
   const youtubeIframe = document.getElementById("player-youtube-iframe");
   const webcamImage = document.getElementById("player-webcam-image");
   const webcamIframe = document.getElementById("player-webcam-iframe");
-  const seoEl = document.getElementById("player-modal-seo");
-  if (seoEl) {
-    seoEl.textContent = "";
-    seoEl.hidden = true;
-  }
-  if (!modal || !videoEl || !audioEl) return;
+  const videoEl = document.getElementById("player-video");
+  const audioEl = document.getElementById("player-audio");
+  if (!errorEl || !videoEl || !audioEl) return;
+
+  const variants = getChannelVariants(channel);
+  const variant = variants[index] || variants[0];
+  const url = variant.url && variant.url.trim();
+  const mediaType = String(channel.type || "tv").toLowerCase();
+  const attempt = ++playerAttempt;
+  playerVariantIndex = index;
+  clearTimeout(playerStartTimer);
+  stopPlayerRecording();
+  updatePlayerVariantUi(channel, index);
+
   if (playerHls) {
     playerHls.destroy();
     playerHls = null;
@@ -719,840 +1104,4151 @@ function closePlayerModal() {
   videoEl.load();
   audioEl.removeAttribute("src");
   audioEl.load();
-  if (youtubeIframe) youtubeIframe.removeAttribute("src");
-  if (webcamImage) webcamImage.removeAttribute("src");
-  if (webcamIframe) {
-    webcamIframe.removeAttribute("src");
-    webcamIframe.hidden = true;
-  }
-  if (webcamImage) webcamImage.hidden = false;
-  modal.hidden = true;
-  modal.setAttribute("aria-hidden", "true");
+  stopNowPlaying();
+  renderPlayerSettings();
 
-  const selectedPath = document.querySelector(".country.selected");
-  const iso2 = selectedPath?.getAttribute("data-iso2");
-  if (iso2) setUrlState({ country: iso2 });
-}
+  const showError = (msg) => {
+    errorEl.textContent = msg || "Could not play stream.";
+    errorEl.hidden = false;
+  };
+  const fail = (msg) => {
+    if (attempt !== playerAttempt || currentPlayerChannel !== channel) return;
+    clearTimeout(playerStartTimer);
+    if (index + 1 < variants.length) {
+      showError(`Stream ${index + 1} failed, trying stream ${index + 2} of ${variants.length}…`);
+      playChannelVariant(channel, index + 1);
+    } else {
+      showError(variants.length > 1 ? `All ${variants.length} streams failed. ${msg}` : msg);
+    }
+  };
+  const watchStart = (mediaEl) => {
+    playerStartTimer = setTimeout(() => fail("The stream did not start in time."), STREAM_START_TIMEOUT_MS);
+    const onPlaying = () => {
+      mediaEl.removeEventListener("playing", onPlaying);
+      if (attempt !== playerAttempt) return;
+      clearTimeout(playerStartTimer);
+      errorEl.hidden = true;
+      errorEl.textContent = "";
+    };
+    mediaEl.addEventListener("playing", onPlaying);
+  };
 
-/** Build single-select (radio) buttons for type or source filter; one option always selected. */
-function buildChannelFilterToggles(containerId, values, kind) {
-  const container = document.getElementById(containerId);
-  if (!container) return;
-  container.innerHTML = "";
-  container.setAttribute("role", "radiogroup");
-  container.setAttribute("aria-label", kind === "type" ? "Filter by type" : "Filter by source");
-  const typeLabels = { tv: "TV", radio: "Radio", youtube: "YouTube", webcam: "Webcam" };
-  const allValue = "";
-  const options = [allValue, ...values.filter((v) => v !== allValue)];
-  options.forEach((val, index) => {
-    const label = val === allValue ? "All" : (kind === "type" ? (typeLabels[val] || val.charAt(0).toUpperCase() + val.slice(1)) : val);
-    const btn = document.createElement("button");
-    btn.type = "button";
-    btn.className = "filter-toggle" + (index === 0 ? " active" : "");
-    btn.textContent = label;
-    btn.setAttribute("data-filter-kind", kind);
-    btn.setAttribute("data-filter-value", val);
-    btn.setAttribute("aria-pressed", String(index === 0));
-    btn.setAttribute("role", "radio");
-    btn.setAttribute("aria-checked", String(index === 0));
-    btn.addEventListener("click", () => {
-      container.querySelectorAll(".filter-toggle").forEach((b) => {
-        const isActive = b === btn;
-        b.classList.toggle("active", isActive);
-        b.setAttribute("aria-pressed", String(isActive));
-        b.setAttribute("aria-checked", String(isActive));
+  // Autoplay blocked (no user gesture, e.g. opened from a link) is not a broken stream: wait for the play button
+  const playRejected = (msg) => (err) => {
+    if (err && err.name === "NotAllowedError") {
+      clearTimeout(playerStartTimer);
+      return;
+    }
+    fail(msg);
+  };
+
+  if (!url) {
+    fail("No stream URL for this channel.");
+    return;
+  }
+
+  if (mediaType === "webcam") {
+    const windyUrl = getWindyEmbedUrl(url);
+    if (windyUrl && webcamIframe) {
+      webcamIframe.hidden = false;
+      webcamIframe.src = windyUrl;
+      if (webcamImage) webcamImage.hidden = true;
+    } else if (webcamImage) {
+      webcamImage.hidden = false;
+      webcamImage.onerror = () => fail("Could not load webcam stream. It may be unavailable or blocked.");
+      webcamImage.src = url;
+      if (webcamIframe) webcamIframe.hidden = true;
+    }
+  } else if (mediaType === "youtube" && youtubeIframe) {
+    youtubeIframe.src = getYoutubeEmbedUrl(url);
+  } else if (mediaType === "radio") {
+    watchStart(audioEl);
+    audioEl.onerror = () => fail("Could not play stream. It may be unavailable or blocked.");
+    if (isHlsUrl(url) && typeof Hls !== "undefined" && Hls.isSupported()) {
+      playerHls = new Hls(getPlayerHlsConfig());
+      startNowPlaying(channel, url, false);
+      bindHlsNowPlaying(playerHls);
+      bindHlsRecording(playerHls);
+      playerHls.loadSource(url);
+      playerHls.attachMedia(audioEl);
+      playerHls.on(Hls.Events.ERROR, (event, data) => {
+        if (data.fatal) {
+          fail("Stream error. The source may be unavailable or blocked.");
+        }
       });
-      applyChannelFilters();
-    });
-    container.appendChild(btn);
-  });
+    } else {
+      audioEl.src = url;
+      startNowPlaying(channel, url, true);
+    }
+    audioEl.play().catch(playRejected("Could not play stream. It may be unavailable or blocked."));
+  } else {
+    watchStart(videoEl);
+    if (isHlsUrl(url) && typeof Hls !== "undefined" && Hls.isSupported()) {
+      playerHls = new Hls(getPlayerHlsConfig());
+      bindHlsSettings(playerHls);
+      bindHlsRecording(playerHls);
+      playerHls.loadSource(url);
+      playerHls.attachMedia(videoEl);
+      playerHls.on(Hls.Events.ERROR, (event, data) => {
+        if (data.fatal) {
+          fail("Stream error. The source may be unavailable or blocked.");
+        }
+      });
+      videoEl.play().catch(playRejected("Playback failed. The stream may be unavailable."));
+    } else if (isHlsUrl(url) && videoEl.canPlayType("application/vnd.apple.mpegurl")) {
+      // Safari native HLS
+      videoEl.src = url;
+      videoEl.play().catch(playRejected("Playback failed. The stream may be unavailable."));
+    } else {
+      videoEl.src = url;
+      videoEl.play().catch(playRejected("Could not play stream. It may be unavailable or in an unsupported format."));
+    }
+  }
 }
 
-function refreshFavoriteStarsInList() {
-  const listEl = document.getElementById("channel-list");
-  if (!listEl) return;
-  listEl.querySelectorAll(".channel-item").forEach((li) => {
-    const iso = li.getAttribute("data-iso") || "";
-    const slug = li.getAttribute("data-slug") || "";
-    const favBtn = li.querySelector(".channel-item-fav");
-    if (favBtn) {
-      const inFav = isChannelInFavorites(iso, slug);
-      favBtn.classList.toggle("is-favorite", inFav);
-      favBtn.setAttribute("aria-label", inFav ? "Remove from favorites" : "Add to favorites");
-      favBtn.title = inFav ? "Remove from favorites" : "Add to favorites";
-    }
-  });
+// —— Player settings (localStorage): preferred max resolution and audio language, applied to every HLS channel ——
+const PLAYER_PREFS_STORAGE_KEY = "worldmedia-player-prefs";
+
+function getPlayerPrefs() {
+  try {
+    const raw = localStorage.getItem(PLAYER_PREFS_STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : null;
+    return {
+      maxHeight: Number.isFinite(data?.maxHeight) && data.maxHeight > 0 ? data.maxHeight : null,
+      audioLang: typeof data?.audioLang === "string" && data.audioLang ? data.audioLang : null,
+    };
+  } catch {
+    return { maxHeight: null, audioLang: null };
+  }
 }
 
-/** Show/hide channel list items based on selected type, source, and text search. */
-function applyChannelFilters() {
-  const listEl = document.getElementById("channel-list");
-  const typeContainer = document.getElementById("filter-type");
-  const sourceContainer = document.getElementById("filter-source");
-  const filterTextEl = document.getElementById("filter-text");
-  if (!listEl) return;
-  let selectedType = "";
-  let selectedSource = "";
-  const activeTypeBtn = typeContainer?.querySelector(".filter-toggle.active");
-  const activeSourceBtn = sourceContainer?.querySelector(".filter-toggle.active");
-  if (activeTypeBtn) selectedType = activeTypeBtn.getAttribute("data-filter-value") ?? "";
-  if (activeSourceBtn) selectedSource = activeSourceBtn.getAttribute("data-filter-value") ?? "";
-  const searchRaw = (filterTextEl && filterTextEl.value) ? filterTextEl.value.trim() : "";
-  const search = searchRaw.toLowerCase();
-  listEl.querySelectorAll(".channel-item").forEach((li) => {
-    const type = li.getAttribute("data-type") || "";
-    const source = li.getAttribute("data-source") || "";
-    const typeOk = selectedType === "" || type === selectedType;
-    const sourceOk = selectedSource === "" || (source && source === selectedSource);
-    const nameEl = li.querySelector(".channel-item-name");
-    const sourceEl = li.querySelector(".channel-item-source");
-    const nameStr = (nameEl && nameEl.textContent) ? nameEl.textContent.toLowerCase() : "";
-    const sourceStr = (sourceEl && sourceEl.textContent) ? sourceEl.textContent.toLowerCase() : "";
-    const textOk = search === "" || nameStr.includes(search) || sourceStr.includes(search);
-    li.classList.toggle("filtered-out", !(typeOk && sourceOk && textOk));
-  });
+function setPlayerPrefs(prefs) {
+  const current = getPlayerPrefs();
+  const next = { ...current, ...prefs };
+  try {
+    localStorage.setItem(PLAYER_PREFS_STORAGE_KEY, JSON.stringify(next));
+  } catch (_) {}
 }
 
-/** ISO code used for channels from unknown/unmapped countries. */
-const UNKNOWN_COUNTRY_ISO = "XX";
+function hlsLevelLabel(level) {
+  if (!level) return "";
+  if (level.height) return `${level.height}p`;
+  if (level.bitrate) return `${Math.round(level.bitrate / 1000)} kbps`;
+  return "Stream";
+}
 
-/**
- * Select "Unknown" country in the sidebar (no map path). Loads data/channels/XX/<sourcename>.json.
- */
-function selectUnknown(onChannelsLoaded) {
-  const selectedCountryEl = document.getElementById("selected-country");
-  const countryNameEl = document.getElementById("country-name");
-  const countryCodeEl = document.getElementById("country-code");
-  const countryFlagEl = document.getElementById("country-flag");
-  if (!selectedCountryEl || !countryNameEl || !countryCodeEl) return;
-  document.querySelectorAll(".country.selected").forEach((c) => c.classList.remove("selected"));
-  selectedCountryEl.hidden = false;
-  countryNameEl.textContent = "Unknown";
-  countryCodeEl.textContent = "ISO: " + UNKNOWN_COUNTRY_ISO;
-  if (countryFlagEl) countryFlagEl.hidden = true;
-  setUrlState({ country: UNKNOWN_COUNTRY_ISO });
-  loadChannelsForCountry(UNKNOWN_COUNTRY_ISO, onChannelsLoaded);
+function hlsTrackLabel(track, i) {
+  const name = (track.name && String(track.name).trim()) || "";
+  const lang = (track.lang && String(track.lang).trim()) || "";
+  if (name && lang && !name.toLowerCase().includes(lang.toLowerCase())) return `${name} (${lang})`;
+  return name || lang || `Track ${i + 1}`;
 }
 
-/** Source names (parser names) — only path is data/channels/<country_code>/<sourcename>.json */
-const CHANNEL_SOURCE_NAMES = ["iptv-org", "free-tv-iptv", "iprd", "famelack-channels", "m3u-radio-music-playlists", "insecam", "windy"];
+/** Highest level at or below maxHeight (levels without height count as fitting); lowest level when none fits. */
+function pickHlsLevelForHeight(levels, maxHeight) {
+  let best = -1;
+  levels.forEach((level, i) => {
+    const h = level.height || 0;
+    if (h <= maxHeight && (best === -1 || h > (levels[best].height || 0))) best = i;
+  });
+  if (best !== -1) return best;
+  return levels.reduce((low, level, i) => ((level.height || 0) < (levels[low].height || 0) ? i : low), 0);
+}
 
 /**
- * Return list of country codes to try for loading. Always tries BOTH when we have a mapping:
- * e.g. France → [FR, FRA] so we load data/channels/FR/<sourcename>.json AND data/channels/FRA/<sourcename>.json.
- * Puts 2-letter first (canonical data path), then 3-letter.
+ * Apply the remembered resolution and audio language to a freshly parsed stream. The resolution caps
+ * adaptive streaming (autoLevelCapping) rather than pinning a level, so slow links still step down.
  */
-function getChannelLoadCodes(countryCode) {
-  const code = (countryCode || "").trim().toUpperCase();
-  if (!code || (code.length !== 2 && code.length !== 3)) return [];
-  const iso2 = code.length === 2 ? code : (ISO3_TO_ISO2_FALLBACK[code] || code);
-  const iso3 = code.length === 3 ? code : (ISO2_TO_ISO3[code] || null);
-  const out = [iso2];
-  if (iso3 && iso3 !== iso2) out.push(iso3);
-  return out;
+function applyPlayerPrefsToHls(hls) {
+  const { maxHeight, audioLang } = getPlayerPrefs();
+  if (maxHeight && hls.levels.length > 1) hls.autoLevelCapping = pickHlsLevelForHeight(hls.levels, maxHeight);
+  if (audioLang && hls.audioTracks.length > 1) {
+    const idx = hls.audioTracks.findIndex((t) => (t.lang || "").toLowerCase() === audioLang.toLowerCase());
+    if (idx !== -1 && idx !== hls.audioTrack) hls.audioTrack = idx;
+  }
 }
 
-/** Load and display channels for a country. ONLY uses data/channels/<country_code>/<sourcename>.json for each code and each source name; merges and dedupes by url. Optional onChannelsLoaded(channels) when list is ready. */
-async function loadChannelsForCountry(countryCode, onChannelsLoaded) {
-  const loadingEl = document.getElementById("channels-loading");
-  const emptyEl = document.getElementById("channels-empty");
-  const listEl = document.getElementById("channel-list");
-  if (!loadingEl || !emptyEl || !listEl) return;
+/** Rebuild the settings selects from playerHls levels, audioTracks and subtitleTracks; hide the ⚙ button when there is nothing to pick. */
+function renderPlayerSettings() {
+  const btn = document.getElementById("player-modal-settings-btn");
+  const panel = document.getElementById("player-settings");
+  const qualityEl = document.getElementById("player-settings-quality");
+  const audioEl = document.getElementById("player-settings-audio");
+  const subtitlesEl = document.getElementById("player-settings-subtitles");
+  if (!btn || !panel || !qualityEl || !audioEl || !subtitlesEl) return;
+  const hls = playerHls;
+  const levels = hls?.levels || [];
+  const audioTracks = hls?.audioTracks || [];
+  const subtitleTracks = hls?.subtitleTracks || [];
+  const hasChoices = levels.length > 1 || audioTracks.length > 1 || subtitleTracks.length > 0;
+  btn.hidden = !hls || !hasChoices;
+  if (btn.hidden) {
+    panel.hidden = true;
+    btn.setAttribute("aria-expanded", "false");
+    return;
+  }
 
-  loadingEl.hidden = false;
-  emptyEl.hidden = true;
-  listEl.hidden = true;
-  listEl.innerHTML = "";
-  emptyEl.textContent = "No channels for this country.";
+  qualityEl.innerHTML = "";
+  const autoOpt = document.createElement("option");
+  autoOpt.value = "-1";
+  const playing = levels[hls.currentLevel];
+  autoOpt.textContent = hls.autoLevelEnabled && playing ? `Auto (${hlsLevelLabel(playing)})` : "Auto";
+  qualityEl.appendChild(autoOpt);
+  levels
+    .map((level, i) => ({ level, i }))
+    .sort((a, b) => (b.level.height || 0) - (a.level.height || 0) || (b.level.bitrate || 0) - (a.level.bitrate || 0))
+    .forEach(({ level, i }) => {
+      const opt = document.createElement("option");
+      opt.value = String(i);
+      opt.textContent = hlsLevelLabel(level);
+      qualityEl.appendChild(opt);
+    });
+  qualityEl.value = hls.autoLevelEnabled ? "-1" : String(hls.currentLevel);
+  qualityEl.disabled = levels.length < 2;
+
+  const audioRow = document.getElementById("player-settings-audio-row");
+  if (audioRow) audioRow.hidden = audioTracks.length < 2;
+  audioEl.innerHTML = "";
+  audioTracks.forEach((track, i) => {
+    const opt = document.createElement("option");
+    opt.value = String(i);
+    opt.textContent = hlsTrackLabel(track, i);
+    audioEl.appendChild(opt);
+  });
+  audioEl.value = String(hls.audioTrack);
+
+  const subtitlesRow = document.getElementById("player-settings-subtitles-row");
+  if (subtitlesRow) subtitlesRow.hidden = subtitleTracks.length === 0;
+  subtitlesEl.innerHTML = "";
+  const offOpt = document.createElement("option");
+  offOpt.value = "-1";
+  offOpt.textContent = "Off";
+  subtitlesEl.appendChild(offOpt);
+  subtitleTracks.forEach((track, i) => {
+    const opt = document.createElement("option");
+    opt.value = String(i);
+    opt.textContent = hlsTrackLabel(track, i) + (track.forced ? " [forced]" : "");
+    subtitlesEl.appendChild(opt);
+  });
+  subtitlesEl.value = hls.subtitleDisplay ? String(hls.subtitleTrack) : "-1";
+}
 
-  const codesToTry = getChannelLoadCodes(countryCode);
-  const debugEl = document.getElementById("channels-debug-paths");
-  if (debugEl) {
-    const paths = [];
-    for (const code of codesToTry) {
-      for (const sourcename of CHANNEL_SOURCE_NAMES) {
-        paths.push(`data/channels/${code}/${sourcename}.json`);
-      }
-    }
-    //debugEl.textContent = paths.length ? "Search paths:\n" + paths.join("\n") : "";
-    debugEl.textContent = '';
-    debugEl.hidden = paths.length === 0;
-  }
+/** Wire a new hls.js instance to the settings menu: apply prefs once tracks are known, refresh labels on switches. */
+function bindHlsSettings(hls) {
+  hls.on(Hls.Events.MANIFEST_PARSED, () => {
+    applyPlayerPrefsToHls(hls);
+    renderPlayerSettings();
+  });
+  hls.on(Hls.Events.AUDIO_TRACKS_UPDATED, () => {
+    applyPlayerPrefsToHls(hls);
+    renderPlayerSettings();
+  });
+  hls.on(Hls.Events.SUBTITLE_TRACKS_UPDATED, renderPlayerSettings);
+  hls.on(Hls.Events.LEVEL_SWITCHED, renderPlayerSettings);
+  hls.on(Hls.Events.AUDIO_TRACK_SWITCHED, renderPlayerSettings);
+}
 
-  if (codesToTry.length === 0) {
-    loadingEl.hidden = true;
-    emptyEl.hidden = false;
-    return;
-  }
+function initPlayerSettings() {
+  const btn = document.getElementById("player-modal-settings-btn");
+  const panel = document.getElementById("player-settings");
+  const qualityEl = document.getElementById("player-settings-quality");
+  const audioEl = document.getElementById("player-settings-audio");
+  const subtitlesEl = document.getElementById("player-settings-subtitles");
+  if (!btn || !panel || !qualityEl || !audioEl || !subtitlesEl) return;
+
+  btn.addEventListener("click", () => {
+    panel.hidden = !panel.hidden;
+    btn.setAttribute("aria-expanded", String(!panel.hidden));
+    if (!panel.hidden) renderPlayerSettings();
+  });
 
-  try {
-    const allChannels = [];
-    const seenUrls = new Set();
-    for (const code of codesToTry) {
-      for (const sourcename of CHANNEL_SOURCE_NAMES) {
-        const res = await fetch(`data/channels/${code}/${sourcename}.json`);
-        if (!res.ok) continue;
-        const data = await res.json();
-        const list = data.channels || [];
-        for (const ch of list) {
-          const url = ch.url && ch.url.trim();
-          if (url && !seenUrls.has(url)) {
-            seenUrls.add(url);
-            allChannels.push(ch);
-          } else if (!url) {
-            allChannels.push(ch);
-          }
-        }
-      }
-    }
-    const channels = allChannels.filter((ch) => !isChannelInTrash((ch.iso || "").toUpperCase(), channelSlug(ch)));
-    loadingEl.hidden = true;
-    if (channels.length === 0) {
-      emptyEl.hidden = false;
-      return;
-    }
-    const typeSet = new Set();
-    const sourceSet = new Set();
-    for (const ch of channels) {
-      const typeNorm = String(ch.type || "tv").toLowerCase().trim();
-      const sourceNorm = (ch.source_name && String(ch.source_name).trim()) || "";
-      typeSet.add(typeNorm);
-      if (sourceNorm) sourceSet.add(sourceNorm);
+  qualityEl.addEventListener("change", () => {
+    if (!playerHls) return;
+    const idx = Number(qualityEl.value);
+    playerHls.currentLevel = idx;
+    if (idx === -1) playerHls.autoLevelCapping = -1;
+    // Manual pick becomes the max resolution for the next channels; Auto clears it
+    const level = playerHls.levels[idx];
+    setPlayerPrefs({ maxHeight: idx === -1 ? null : (level?.height || null) });
+    renderPlayerSettings();
+  });
 
-      const li = document.createElement("li");
-      li.className = "channel-item";
-      li.setAttribute("role", "button");
-      li.setAttribute("tabindex", "0");
-      li.setAttribute("aria-label", `Play ${ch.name || "Channel"}`);
-      li.setAttribute("data-type", typeNorm);
-      li.setAttribute("data-source", sourceNorm);
-      li.setAttribute("data-iso", (ch.iso || "").toUpperCase());
-      li.setAttribute("data-slug", channelSlug(ch));
-      const body = document.createElement("div");
-      body.className = "channel-item-body";
-      const nameEl = document.createElement("span");
-      nameEl.className = "channel-item-name";
-      nameEl.textContent = ch.name || "Channel";
-      const typeEl = document.createElement("span");
-      typeEl.className = "channel-item-type";
-      typeEl.textContent = ch.type || "tv";
-      body.append(nameEl, " ", typeEl);
-      if (sourceNorm || (ch.source && String(ch.source).trim())) {
-        const src = ch.source && String(ch.source).trim();
-        const text = sourceNorm || src || "";
-        const truncated = text.length > 28 ? text.slice(0, 26) + "…" : text;
-        const sourceEl = document.createElement("span");
-        sourceEl.className = "channel-item-source";
-        sourceEl.textContent = truncated;
-        if (src) sourceEl.title = src;
-        body.appendChild(document.createElement("br"));
-        body.appendChild(sourceEl);
-      }
-      if (ch.logo) {
-        const img = document.createElement("img");
-        img.className = "channel-item-logo";
-        img.src = ch.logo;
-        img.alt = "";
-        img.loading = "lazy";
-        li.appendChild(img);
-      }
-      li.appendChild(body);
-      const favBtn = document.createElement("button");
-      favBtn.type = "button";
-      favBtn.className = "channel-item-fav";
-      favBtn.setAttribute("aria-label", "Add to favorites");
-      favBtn.innerHTML = "★";
-      favBtn.title = "Add to favorites";
-      const isoUpper = (ch.iso || "").toUpperCase();
-      const chSlug = channelSlug(ch);
-      function updateFavBtn() {
-        const inFav = isChannelInFavorites(isoUpper, chSlug);
-        favBtn.classList.toggle("is-favorite", inFav);
-        favBtn.setAttribute("aria-label", inFav ? "Remove from favorites" : "Add to favorites");
-        favBtn.title = inFav ? "Remove from favorites" : "Add to favorites";
-      }
-      updateFavBtn();
-      favBtn.addEventListener("click", (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        if (isChannelInFavorites(isoUpper, chSlug)) removeChannelFromFavorites(isoUpper, chSlug);
-        else addChannelToFavorites(ch);
-        updateFavBtn();
-      });
-      li.appendChild(favBtn);
+  audioEl.addEventListener("change", () => {
+    if (!playerHls) return;
+    const idx = Number(audioEl.value);
+    playerHls.audioTrack = idx;
+    const lang = playerHls.audioTracks[idx]?.lang;
+    if (lang) setPlayerPrefs({ audioLang: lang });
+  });
 
-      li.addEventListener("click", (e) => {
-        if (e.target.closest(".channel-item-fav")) return;
-        openPlayerModal(ch);
-      });
-      li.addEventListener("keydown", (e) => {
-        if (e.target.closest(".channel-item-fav")) return;
-        if (e.key === "Enter" || e.key === " ") {
-          e.preventDefault();
-          openPlayerModal(ch);
-        }
-      });
-      listEl.appendChild(li);
-    }
-    refreshFavoriteStarsInList();
+  subtitlesEl.addEventListener("change", () => {
+    if (!playerHls) return;
+    const idx = Number(subtitlesEl.value);
+    playerHls.subtitleDisplay = idx !== -1;
+    playerHls.subtitleTrack = idx;
+  });
+}
 
-    buildChannelFilterToggles("filter-type", Array.from(typeSet), "type");
-    buildChannelFilterToggles("filter-source", Array.from(sourceSet).sort(), "source");
-    const filtersEl = document.getElementById("channel-filters");
-    if (filtersEl) filtersEl.hidden = false;
-    applyChannelFilters();
+// —— Now playing (radio): ICY/Shoutcast titles or HLS ID3 timed metadata, per-station history in localStorage ——
+const RADIO_HISTORY_STORAGE_KEY = "worldmedia-radio-history";
+const RADIO_HISTORY_PER_STATION = 10;
+const RADIO_HISTORY_MAX_STATIONS = 50;
+/** How often an ICY stream is re-read for its current title. */
+const ICY_POLL_MS = 20000;
 
-    listEl.hidden = false;
-    if (typeof onChannelsLoaded === "function") onChannelsLoaded(channels);
+/** Station whose metadata is being tracked: { key, channel, title, abort, timer }. */
+let nowPlaying = null;
+
+function radioStationKey(ch) {
+  return `${(ch.iso || "").toUpperCase()}:${channelId(ch)}`;
+}
+
+function getRadioHistory() {
+  try {
+    const raw = localStorage.getItem(RADIO_HISTORY_STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : null;
+    return data && typeof data === "object" && !Array.isArray(data) ? data : {};
   } catch {
-    loadingEl.hidden = true;
-    emptyEl.hidden = false;
+    return {};
   }
 }
 
-/** Load and display channels for a category. Uses data/cat_channels/<category>/<sourcename>.json; merges and dedupes by url. */
-async function loadChannelsForCategory(categoryName, onChannelsLoaded) {
-  const loadingEl = document.getElementById("channels-loading");
-  const emptyEl = document.getElementById("channels-empty");
-  const listEl = document.getElementById("channel-list");
-  const selectedCountryEl = document.getElementById("selected-country");
-  const countryNameEl = document.getElementById("country-name");
-  const countryCodeEl = document.getElementById("country-code");
-  const countryFlagEl = document.getElementById("country-flag");
-  if (!loadingEl || !emptyEl || !listEl || !selectedCountryEl || !countryNameEl || !countryCodeEl) return;
-
-  document.querySelectorAll(".country.selected").forEach((c) => c.classList.remove("selected"));
-  selectedCountryEl.hidden = false;
-  countryNameEl.textContent = categoryName;
-  countryCodeEl.textContent = "Category";
-  if (countryFlagEl) countryFlagEl.hidden = true;
+/** Prepend a title to a station's history (skips repeats), keeping the most recently updated stations only. */
+function addRadioHistoryEntry(key, title) {
+  const data = getRadioHistory();
+  const list = Array.isArray(data[key]?.tracks) ? data[key].tracks : [];
+  if (list[0]?.title === title) return;
+  list.unshift({ title, at: Date.now() });
+  data[key] = { tracks: list.slice(0, RADIO_HISTORY_PER_STATION), updated: Date.now() };
+  const keys = Object.keys(data).sort((a, b) => (data[b].updated || 0) - (data[a].updated || 0));
+  keys.slice(RADIO_HISTORY_MAX_STATIONS).forEach((k) => delete data[k]);
+  try {
+    localStorage.setItem(RADIO_HISTORY_STORAGE_KEY, JSON.stringify(data));
+  } catch (_) {}
+}
 
-  loadingEl.hidden = false;
-  emptyEl.hidden = true;
-  listEl.hidden = true;
-  listEl.innerHTML = "";
-  const debugEl = document.getElementById("channels-debug-paths");
-  if (debugEl) debugEl.hidden = true;
-  const emptyMsg = document.getElementById("channels-empty");
-  if (emptyMsg) emptyMsg.textContent = "No channels for this category.";
+function parseIcyStreamTitle(text) {
+  const m = /StreamTitle='(.*?)';/.exec(text);
+  return m ? m[1].trim() : "";
+}
 
-  const paths = CHANNEL_SOURCE_NAMES.map((s) => `data/cat_channels/${encodeURIComponent(categoryName)}/${s}.json`);
+/**
+ * Read one ICY metadata block from a Shoutcast/Icecast stream: request with Icy-MetaData: 1, skip
+ * icy-metaint audio bytes, decode the block, then cancel. Empty blocks ("no change") are skipped, up to
+ * three intervals. Throws when the server does not expose icy-metaint (no ICY support, or CORS).
+ */
+async function fetchIcyTitle(url, signal) {
+  const res = await fetch(url, { headers: { "Icy-MetaData": "1" }, cache: "no-store", signal });
+  const metaint = parseInt(res.headers.get("icy-metaint") || "", 10);
+  if (!res.ok || !res.body || !metaint) {
+    res.body?.cancel().catch(() => {});
+    throw new Error("No ICY metadata");
+  }
+  const reader = res.body.getReader();
+  let audioLeft = metaint;
+  let metaLen = -1;
+  let meta = [];
+  let blocks = 0;
   try {
-    const allChannels = [];
-    const seenUrls = new Set();
-    for (const url of paths) {
-      const res = await fetch(url);
-      if (!res.ok) continue;
-      const data = await res.json();
-      const list = data.channels || [];
-      for (const ch of list) {
-        const u = ch.url && ch.url.trim();
-        if (u && !seenUrls.has(u)) {
-          seenUrls.add(u);
-          allChannels.push(ch);
-        } else if (!u) allChannels.push(ch);
+    while (blocks < 3) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      let i = 0;
+      while (i < value.length) {
+        if (audioLeft > 0) {
+          const n = Math.min(audioLeft, value.length - i);
+          audioLeft -= n;
+          i += n;
+        } else if (metaLen === -1) {
+          metaLen = value[i] * 16;
+          i += 1;
+          meta = [];
+          if (metaLen === 0) {
+            metaLen = -1;
+            audioLeft = metaint;
+            blocks++;
+          }
+        } else {
+          const n = Math.min(metaLen - meta.length, value.length - i);
+          meta.push(...value.subarray(i, i + n));
+          i += n;
+          if (meta.length === metaLen) {
+            const title = parseIcyStreamTitle(new TextDecoder("utf-8").decode(new Uint8Array(meta)));
+            if (title) return title;
+            metaLen = -1;
+            audioLeft = metaint;
+            blocks++;
+          }
+        }
       }
     }
-    const channels = allChannels.filter((ch) => !isChannelInTrash((ch.iso || "").toUpperCase(), channelSlug(ch)));
-    loadingEl.hidden = true;
-    if (channels.length === 0) {
-      emptyEl.hidden = false;
-      return;
-    }
-    const typeSet = new Set();
-    const sourceSet = new Set();
-    for (const ch of channels) {
-      const typeNorm = String(ch.type || "tv").toLowerCase().trim();
-      const sourceNorm = (ch.source_name && String(ch.source_name).trim()) || "";
-      typeSet.add(typeNorm);
-      if (sourceNorm) sourceSet.add(sourceNorm);
-      const li = document.createElement("li");
-      li.className = "channel-item";
-      li.setAttribute("role", "button");
-      li.setAttribute("tabindex", "0");
-      li.setAttribute("aria-label", `Play ${ch.name || "Channel"}`);
-      li.setAttribute("data-type", typeNorm);
-      li.setAttribute("data-source", sourceNorm);
-      li.setAttribute("data-iso", (ch.iso || "").toUpperCase());
-      li.setAttribute("data-slug", channelSlug(ch));
-      const body = document.createElement("div");
-      body.className = "channel-item-body";
-      const nameEl = document.createElement("span");
-      nameEl.className = "channel-item-name";
-      nameEl.textContent = ch.name || "Channel";
-      const typeEl = document.createElement("span");
-      typeEl.className = "channel-item-type";
-      typeEl.textContent = ch.type || "tv";
-      body.append(nameEl, " ", typeEl);
-      if (sourceNorm || (ch.source && String(ch.source).trim())) {
-        const src = ch.source && String(ch.source).trim();
-        const text = sourceNorm || src || "";
-        const truncated = text.length > 28 ? text.slice(0, 26) + "…" : text;
-        const sourceEl = document.createElement("span");
-        sourceEl.className = "channel-item-source";
-        sourceEl.textContent = truncated;
-        if (src) sourceEl.title = src;
-        body.appendChild(document.createElement("br"));
-        body.appendChild(sourceEl);
-      }
-      if (ch.logo) {
-        const img = document.createElement("img");
-        img.className = "channel-item-logo";
-        img.src = ch.logo;
-        img.alt = "";
-        img.loading = "lazy";
-        li.appendChild(img);
-      }
-      li.appendChild(body);
-      const favBtn = document.createElement("button");
-      favBtn.type = "button";
-      favBtn.className = "channel-item-fav";
-      favBtn.setAttribute("aria-label", "Add to favorites");
-      favBtn.innerHTML = "★";
-      favBtn.title = "Add to favorites";
-      const isoUpper = (ch.iso || "").toUpperCase();
-      const chSlug = channelSlug(ch);
-      function updateFavBtn() {
-        const inFav = isChannelInFavorites(isoUpper, chSlug);
-        favBtn.classList.toggle("is-favorite", inFav);
-        favBtn.setAttribute("aria-label", inFav ? "Remove from favorites" : "Add to favorites");
-        favBtn.title = inFav ? "Remove from favorites" : "Add to favorites";
-      }
-      updateFavBtn();
-      favBtn.addEventListener("click", (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        if (isChannelInFavorites(isoUpper, chSlug)) removeChannelFromFavorites(isoUpper, chSlug);
-        else addChannelToFavorites(ch);
-        updateFavBtn();
-      });
-      li.appendChild(favBtn);
-      li.addEventListener("click", (e) => {
-        if (e.target.closest(".channel-item-fav")) return;
-        openPlayerModal(ch);
-      });
-      li.addEventListener("keydown", (e) => {
-        if (e.target.closest(".channel-item-fav")) return;
-        if (e.key === "Enter" || e.key === " ") {
-          e.preventDefault();
-          openPlayerModal(ch);
-        }
-      });
-      listEl.appendChild(li);
+    return "";
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+/** Text of ID3v2 text frames (TIT2 title, TPE1 artist) from an HLS timed-metadata sample; "Artist - Title". */
+function parseId3Title(bytes) {
+  if (!bytes || bytes.length < 10 || bytes[0] !== 0x49 || bytes[1] !== 0x44 || bytes[2] !== 0x33) return "";
+  const version = bytes[3];
+  const syncsafe = (b, o) => (b[o] << 21) | (b[o + 1] << 14) | (b[o + 2] << 7) | b[o + 3];
+  const end = Math.min(bytes.length, 10 + syncsafe(bytes, 6));
+  const frames = {};
+  let pos = 10;
+  while (pos + 10 <= end) {
+    const id = String.fromCharCode(bytes[pos], bytes[pos + 1], bytes[pos + 2], bytes[pos + 3]);
+    if (!/^[A-Z0-9]{4}$/.test(id)) break;
+    const size = version >= 4 ? syncsafe(bytes, pos + 4) : ((bytes[pos + 4] << 24) | (bytes[pos + 5] << 16) | (bytes[pos + 6] << 8) | bytes[pos + 7]);
+    const body = bytes.subarray(pos + 10, pos + 10 + size);
+    if ((id === "TIT2" || id === "TPE1") && body.length > 1) {
+      const enc = body[0];
+      const label = enc === 1 ? "utf-16" : enc === 2 ? "utf-16be" : enc === 3 ? "utf-8" : "latin1";
+      frames[id] = new TextDecoder(label).decode(body.subarray(1)).replace(/\0+$/g, "").trim();
     }
-    refreshFavoriteStarsInList();
-    buildChannelFilterToggles("filter-type", Array.from(typeSet), "type");
-    buildChannelFilterToggles("filter-source", Array.from(sourceSet).sort(), "source");
-    const filtersEl = document.getElementById("channel-filters");
-    if (filtersEl) filtersEl.hidden = false;
-    applyChannelFilters();
-    listEl.hidden = false;
-    if (typeof onChannelsLoaded === "function") onChannelsLoaded(channels);
-  } catch {
-    loadingEl.hidden = true;
-    emptyEl.hidden = false;
+    pos += 10 + size;
   }
+  if (frames.TPE1 && frames.TIT2) return `${frames.TPE1} - ${frames.TIT2}`;
+  return frames.TIT2 || "";
 }
 
-/**
- * Pan & zoom state and apply transform to #map-pan-zoom.
- * Zoom toward cursor; supports wheel, pinch, and external setScale (e.g. zoom slider).
- * Returns { setScale(scale), getScale() } and calls opts.onScaleChange(scale) when scale changes.
- */
-function initPanZoom(opts = {}) {
-  const viewport = document.getElementById("map-container");
-  const panZoom = document.getElementById("map-pan-zoom");
-  if (!viewport || !panZoom) return null;
+function setNowPlayingTitle(title) {
+  if (!nowPlaying || !title || title === nowPlaying.title) return;
+  nowPlaying.title = title;
+  addRadioHistoryEntry(nowPlaying.key, title);
+  updateRadioBar();
+}
 
-  const onScaleChange = opts.onScaleChange || (() => {});
-  let scale = 1;
-  let tx = 0;
-  let ty = 0;
-  let lastNotifiedScale = null;
-  let pointerDown = false;
-  let startX = 0;
-  let startY = 0;
-  let startTx = 0;
-  let startTy = 0;
-  let pinchStartDistance = 0;
-  let pinchStartScale = 1;
-  let pinchStartTx = 0;
-  let pinchStartTy = 0;
-  let pinchCenterX = 0;
-  let pinchCenterY = 0;
+function stopNowPlaying() {
+  if (!nowPlaying) return;
+  nowPlaying.abort?.abort();
+  clearTimeout(nowPlaying.timer);
+  nowPlaying = null;
+  updateRadioBar();
+}
 
-  function applyTransform() {
-    panZoom.style.transform = `translate(${tx}px, ${ty}px) scale(${scale})`;
-    if (lastNotifiedScale !== scale) {
-      lastNotifiedScale = scale;
-      onScaleChange(scale);
-    }
-  }
+/** Track metadata for a radio channel. ICY polling starts for direct streams; HLS streams feed ID3 via bindHlsNowPlaying. */
+function startNowPlaying(channel, url, useIcy) {
+  stopNowPlaying();
+  nowPlaying = { key: radioStationKey(channel), channel, title: "", abort: null, timer: null, unsupported: false };
+  const state = nowPlaying;
+  updateRadioBar();
+  if (!useIcy) return;
+  const poll = () => {
+    if (nowPlaying !== state) return;
+    state.abort = new AbortController();
+    const timeout = setTimeout(() => state.abort.abort(), 10000);
+    fetchIcyTitle(url, state.abort.signal)
+      .then((title) => {
+        if (nowPlaying !== state) return;
+        setNowPlayingTitle(title);
+        state.timer = setTimeout(poll, ICY_POLL_MS);
+      })
+      .catch(() => {
+        // No ICY support or blocked by CORS: stop polling, the bar just shows the station
+        if (nowPlaying !== state) return;
+        state.unsupported = true;
+        updateRadioBar();
+      })
+      .finally(() => clearTimeout(timeout));
+  };
+  poll();
+}
 
-  function viewportPoint(e) {
-    const r = viewport.getBoundingClientRect();
-    const x = (e.touches ? e.touches[0].clientX : e.clientX) - r.left;
-    const y = (e.touches ? e.touches[0].clientY : e.clientY) - r.top;
-    return { x, y };
+function bindHlsNowPlaying(hls) {
+  hls.on(Hls.Events.FRAG_PARSING_METADATA, (event, data) => {
+    (data.samples || []).forEach((sample) => {
+      const title = parseId3Title(sample.data);
+      if (title) setNowPlayingTitle(title);
+    });
+  });
+}
+
+/** Radio bar at the bottom of the page: station, current title and recent titles while a radio channel is the player channel. */
+function updateRadioBar() {
+  const bar = document.getElementById("radio-bar");
+  if (!bar) return;
+  const ch = currentPlayerChannel;
+  const isRadio = !!ch && String(ch.type || "").toLowerCase() === "radio";
+  bar.hidden = !isRadio;
+  document.body.classList.toggle("has-radio-bar", isRadio);
+  if (!isRadio) return;
+  const stationEl = document.getElementById("radio-bar-station");
+  const titleEl = document.getElementById("radio-bar-title");
+  const logoEl = document.getElementById("radio-bar-logo");
+  const modalTitleEl = document.getElementById("player-now-playing");
+  const title = nowPlaying?.title || "";
+  const fallback = nowPlaying?.unsupported ? "No track info for this station" : "Waiting for track info…";
+  if (stationEl) stationEl.textContent = ch.name || "Radio";
+  if (titleEl) titleEl.textContent = title || fallback;
+  if (modalTitleEl) modalTitleEl.textContent = title ? `Now playing: ${title}` : "";
+  if (logoEl) {
+    logoEl.hidden = !ch.logo;
+    if (ch.logo) logoEl.src = ch.logo;
   }
+  renderRadioHistory();
+}
 
-  function centerMap() {
-    const r = viewport.getBoundingClientRect();
-    tx = (r.width - DISPLAY_WIDTH) / 2;
-    ty = (r.height - DISPLAY_HEIGHT) / 2;
-    scale = 1;
-    applyTransform();
+function renderRadioHistory() {
+  const listEl = document.getElementById("radio-bar-history");
+  if (!listEl || listEl.hidden || !currentPlayerChannel) return;
+  const tracks = getRadioHistory()[radioStationKey(currentPlayerChannel)]?.tracks || [];
+  listEl.innerHTML = "";
+  if (tracks.length === 0) {
+    const li = document.createElement("li");
+    li.className = "radio-bar-history-empty";
+    li.textContent = "No tracks recorded for this station yet.";
+    listEl.appendChild(li);
+    return;
   }
+  tracks.forEach((t) => {
+    const li = document.createElement("li");
+    const time = document.createElement("time");
+    time.className = "radio-bar-history-time";
+    time.dateTime = new Date(t.at).toISOString();
+    time.textContent = new Date(t.at).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    li.append(time, " ", t.title);
+    listEl.appendChild(li);
+  });
+}
 
-  /** Re-center pan (tx, ty) to keep the map centered in the viewport without resetting zoom. */
-  function recenterPanOnly() {
-    const r = viewport.getBoundingClientRect();
-    tx = (r.width - DISPLAY_WIDTH * scale) / 2;
-    ty = (r.height - DISPLAY_HEIGHT * scale) / 2;
-    applyTransform();
+function initRadioBar() {
+  const bar = document.getElementById("radio-bar");
+  const audioEl = document.getElementById("player-audio");
+  const playBtn = document.getElementById("radio-bar-play");
+  const historyBtn = document.getElementById("radio-bar-history-btn");
+  const historyEl = document.getElementById("radio-bar-history");
+  if (!bar || !audioEl) return;
+
+  function updatePlayBtn() {
+    if (!playBtn) return;
+    playBtn.textContent = audioEl.paused ? "▶" : "⏸";
+    playBtn.setAttribute("aria-label", audioEl.paused ? "Play" : "Pause");
+    playBtn.title = audioEl.paused ? "Play" : "Pause";
   }
+  audioEl.addEventListener("play", updatePlayBtn);
+  audioEl.addEventListener("pause", updatePlayBtn);
+  playBtn?.addEventListener("click", () => {
+    if (audioEl.paused) audioEl.play().catch(() => {});
+    else audioEl.pause();
+  });
+  historyBtn?.addEventListener("click", () => {
+    if (!historyEl) return;
+    historyEl.hidden = !historyEl.hidden;
+    historyBtn.setAttribute("aria-expanded", String(!historyEl.hidden));
+    renderRadioHistory();
+  });
+  document.getElementById("radio-bar-expand")?.addEventListener("click", () => setPlayerMini(false));
+  document.getElementById("radio-bar-stop")?.addEventListener("click", closePlayerModal);
+  addEventListener("worldmedia-player-opened", () => {
+    updateRadioBar();
+    updatePlayBtn();
+  });
+  addEventListener("worldmedia-player-closed", updateRadioBar);
+}
 
-  function zoomAt(viewportX, viewportY, newScale) {
-    newScale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, newScale));
-    const sRatio = newScale / scale;
-    tx = viewportX - (viewportX - tx) * sRatio;
-    ty = viewportY - (viewportY - ty) * sRatio;
-    scale = newScale;
-    applyTransform();
+// —— Sleep timer and alarm: fade out then close the player; open a favorite at a local time with a volume ramp-up ——
+const ALARM_STORAGE_KEY = "worldmedia-alarm";
+const SLEEP_FADE_MS = 20000;
+const ALARM_RAMP_MS = 30000;
+/** An alarm found overdue on page load still rings if it is at most this late (tab reopened just after). */
+const ALARM_GRACE_MS = 5 * 60 * 1000;
+
+/** Sleep timer end (ms timestamp) or null. Kept in memory: it outlives the modal, not the page. */
+let sleepEndsAt = null;
+/** Volume to restore on the faded media element: { media, volume } while the sleep fade runs. */
+let sleepFade = null;
+let timersTickId = null;
+let volumeRampId = null;
+/** Set when the alarm opens a channel; the next worldmedia-player-opened ramps its volume up. */
+let alarmRampPending = false;
+
+/** Alarm { at, time, iso, channelId, name } or null. `at` is the next occurrence of `time` when it was set. */
+function getAlarm() {
+  try {
+    const raw = localStorage.getItem(ALARM_STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : null;
+    return data && typeof data.at === "number" && channelRefId(data) ? data : null;
+  } catch {
+    return null;
   }
+}
 
-  /** Set zoom from slider: zoom toward viewport center so the map doesn’t jump. */
-  function setScale(newScale) {
-    newScale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, newScale));
-    const r = viewport.getBoundingClientRect();
-    const centerX = r.width / 2;
-    const centerY = r.height / 2;
-    const sRatio = newScale / scale;
-    tx = centerX - (centerX - tx) * sRatio;
-    ty = centerY - (centerY - ty) * sRatio;
-    scale = newScale;
-    applyTransform();
-  }
+function setAlarm(alarm) {
+  try {
+    if (alarm) localStorage.setItem(ALARM_STORAGE_KEY, JSON.stringify(alarm));
+    else localStorage.removeItem(ALARM_STORAGE_KEY);
+  } catch (_) {}
+  updateTimersUi();
+  startTimersTick();
+}
 
-  function getScale() {
-    return scale;
-  }
+/** Next local occurrence of "HH:MM" (today if still ahead, else tomorrow). */
+function nextAlarmTime(time) {
+  const [h, m] = time.split(":").map(Number);
+  const d = new Date();
+  d.setHours(h, m, 0, 0);
+  if (d.getTime() <= Date.now()) d.setDate(d.getDate() + 1);
+  return d.getTime();
+}
 
-  centerMap();
+/** Audio/video element of the channel in the player; null for iframe players (YouTube, Windy) and images. */
+function getActivePlayerMedia() {
+  if (!currentPlayerChannel) return null;
+  const type = String(currentPlayerChannel.type || "tv").toLowerCase();
+  if (type === "radio") return document.getElementById("player-audio");
+  if (type === "tv") return document.getElementById("player-video");
+  return null;
+}
 
-  // —— Wheel zoom (zoom toward cursor) ——
-  viewport.addEventListener("wheel", (e) => {
-    e.preventDefault();
-    const r = viewport.getBoundingClientRect();
-    const x = e.clientX - r.left;
-    const y = e.clientY - r.top;
-    const delta = -e.deltaY * ZOOM_SENSITIVITY;
-    zoomAt(x, y, scale * (1 + delta));
-  }, { passive: false });
+/** Move a media element's volume from `from` to `to` over `ms`, then call done(). A newer ramp replaces this one. */
+function rampPlayerVolume(media, from, to, ms, done) {
+  clearInterval(volumeRampId);
+  const start = performance.now();
+  media.volume = from;
+  volumeRampId = setInterval(() => {
+    const t = ms > 0 ? Math.min(1, (performance.now() - start) / ms) : 1;
+    media.volume = from + (to - from) * t;
+    if (t >= 1) {
+      clearInterval(volumeRampId);
+      volumeRampId = null;
+      if (done) done();
+    }
+  }, 200);
+}
 
-  // —— Pointer pan (mouse + touch), including when starting on a country ——
-  viewport.addEventListener("pointerdown", (e) => {
-    pointerDown = true;
-    pointerMovedDuringPan = false;
-    const p = viewportPoint(e);
-    startX = p.x;
-    startY = p.y;
-    startTx = tx;
-    startTy = ty;
-    e.target.setPointerCapture?.(e.pointerId);
-  });
+function restoreSleepFade() {
+  if (!sleepFade) return;
+  clearInterval(volumeRampId);
+  volumeRampId = null;
+  sleepFade.media.volume = sleepFade.volume;
+  sleepFade = null;
+}
 
-  viewport.addEventListener("pointermove", (e) => {
-    if (!pointerDown) return;
-    const p = viewportPoint(e);
-    const dx = p.x - startX;
-    const dy = p.y - startY;
-    if (Math.abs(dx) > PAN_CLICK_THRESHOLD || Math.abs(dy) > PAN_CLICK_THRESHOLD) {
-      pointerMovedDuringPan = true;
+function setSleepTimer(minutes) {
+  restoreSleepFade();
+  sleepEndsAt = Date.now() + minutes * 60000;
+  updateTimersUi();
+  startTimersTick();
+}
+
+function cancelSleepTimer() {
+  restoreSleepFade();
+  sleepEndsAt = null;
+  updateTimersUi();
+}
+
+/** "mm:ss", or "h:mm:ss" from one hour. */
+function formatCountdown(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+function ringAlarm(alarm) {
+  setAlarm(null);
+  const statusEl = document.getElementById("timers-alarm-status");
+  loadAllChannels().then(() => {
+    if (!resolveChannelRef(alarm.iso, channelRefId(alarm))) {
+      if (statusEl) statusEl.textContent = `Alarm: ${alarm.name || "Channel"} is no longer available.`;
+      return;
     }
-    tx = startTx + dx;
-    ty = startTy + dy;
-    applyTransform();
+    if (statusEl) statusEl.textContent = `Alarm rang at ${alarm.time}: ${alarm.name || "Channel"}.`;
+    alarmRampPending = true;
+    openChannelRef(alarm.iso, channelRefId(alarm));
   });
+}
 
-  viewport.addEventListener("pointerup", (e) => {
-    if (e.target.hasPointerCapture?.(e.pointerId)) e.target.releasePointerCapture?.(e.pointerId);
-    pointerDown = false;
-  });
+/** Once per second while a timer is set: sleep fade/close, alarm check, countdown labels. */
+function timersTick() {
+  const now = Date.now();
+  if (sleepEndsAt != null) {
+    const left = sleepEndsAt - now;
+    const media = getActivePlayerMedia();
+    if (left <= 0) {
+      sleepEndsAt = null;
+      if (currentPlayerChannel) closePlayerModal();
+      restoreSleepFade();
+    } else if (left <= SLEEP_FADE_MS && !sleepFade && media) {
+      sleepFade = { media, volume: media.volume };
+      rampPlayerVolume(media, media.volume, 0, left);
+    }
+  }
+  const alarm = getAlarm();
+  if (alarm && now >= alarm.at) ringAlarm(alarm);
+  updateTimersUi();
+  if (sleepEndsAt == null && !getAlarm()) {
+    clearInterval(timersTickId);
+    timersTickId = null;
+  }
+}
 
-  viewport.addEventListener("pointercancel", () => {
-    pointerDown = false;
-  });
+function startTimersTick() {
+  if (timersTickId || (sleepEndsAt == null && !getAlarm())) return;
+  timersTickId = setInterval(timersTick, 1000);
+}
 
-  // —— Pinch zoom (two fingers) ——
-  function distance(touches) {
-    const a = touches[0];
-    const b = touches[1];
-    return Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY);
+function updateTimersUi() {
+  const alarm = getAlarm();
+  const sleepLeft = sleepEndsAt != null ? formatCountdown(sleepEndsAt - Date.now()) : "";
+  const toggle = document.getElementById("timers-toggle");
+  if (toggle) {
+    toggle.textContent = ["Timers", sleepLeft && `☾ ${sleepLeft}`, alarm && `⏰ ${alarm.time}`].filter(Boolean).join(" ");
   }
-  function center(touches, viewportRect) {
-    return {
-      x: ((touches[0].clientX + touches[1].clientX) / 2) - viewportRect.left,
-      y: ((touches[0].clientY + touches[1].clientY) / 2) - viewportRect.top,
-    };
+  const sleepBtn = document.getElementById("player-modal-sleep-btn");
+  if (sleepBtn) {
+    sleepBtn.classList.toggle("active", !!sleepLeft);
+    sleepBtn.title = sleepLeft ? `Sleep timer: ${sleepLeft} left` : "Sleep timer";
+  }
+  const playerStatus = document.getElementById("player-sleep-status");
+  if (playerStatus) playerStatus.textContent = sleepLeft ? `Stops in ${sleepLeft}` : "";
+  const playerCancel = document.getElementById("player-sleep-cancel");
+  if (playerCancel) playerCancel.hidden = !sleepLeft;
+  const sleepStatus = document.getElementById("timers-sleep-status");
+  if (sleepStatus) {
+    sleepStatus.textContent = sleepLeft ? `Playback fades out and stops in ${sleepLeft}.` : "No sleep timer. Set one with ☾ in the player.";
   }
+  const sleepCancel = document.getElementById("timers-sleep-cancel");
+  if (sleepCancel) sleepCancel.hidden = !sleepLeft;
+  const alarmCancel = document.getElementById("timers-alarm-cancel");
+  if (alarmCancel) alarmCancel.hidden = !alarm;
+  const alarmStatus = document.getElementById("timers-alarm-status");
+  if (alarmStatus && alarm) alarmStatus.textContent = `Alarm set for ${alarm.time}: ${alarm.name || "Channel"}.`;
+}
 
-  viewport.addEventListener("touchstart", (e) => {
-    if (e.touches.length === 2) {
-      e.preventDefault();
-      const r = viewport.getBoundingClientRect();
-      pinchStartDistance = distance(e.touches);
-      pinchStartScale = scale;
-      pinchStartTx = tx;
-      pinchStartTy = ty;
-      const c = center(e.touches, r);
-      pinchCenterX = c.x;
-      pinchCenterY = c.y;
+/** Favorite channels (folders flattened) for the alarm picker. */
+function getFavoriteChannelEntries() {
+  const out = [];
+  function walk(items) {
+    if (!Array.isArray(items)) return;
+    for (const it of items) {
+      if (it.type === "channel") out.push(it);
+      if (it.type === "folder") walk(it.children);
     }
-  }, { passive: false });
+  }
+  walk(getFavorites().items);
+  return out;
+}
 
-  viewport.addEventListener("touchmove", (e) => {
-    if (e.touches.length === 2) {
-      e.preventDefault();
-      pointerMovedDuringPan = true;
-      const r = viewport.getBoundingClientRect();
-      const d = distance(e.touches);
-      const c = center(e.touches, r);
-      const ratio = d / pinchStartDistance;
-      const newScale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, pinchStartScale * ratio));
-      // Keep the content point under the pinch center fixed under the new center
-      tx = c.x - (pinchCenterX - pinchStartTx) * (newScale / pinchStartScale);
-      ty = c.y - (pinchCenterY - pinchStartTy) * (newScale / pinchStartScale);
-      pinchCenterX = c.x;
-      pinchCenterY = c.y;
-      pinchStartTx = tx;
-      pinchStartTy = ty;
-      pinchStartScale = newScale;
-      pinchStartDistance = d;
-      scale = newScale;
-      applyTransform();
+function initTimers() {
+  const toggle = document.getElementById("timers-toggle");
+  const section = document.getElementById("timers");
+  const sleepBtn = document.getElementById("player-modal-sleep-btn");
+  const sleepPanel = document.getElementById("player-sleep");
+  const settingsBtn = document.getElementById("player-modal-settings-btn");
+  const settingsPanel = document.getElementById("player-settings");
+  const customEl = document.getElementById("player-sleep-custom");
+  const alarmTimeEl = document.getElementById("timers-alarm-time");
+  const alarmChannelEl = document.getElementById("timers-alarm-channel");
+  const alarmStatusEl = document.getElementById("timers-alarm-status");
+
+  function renderAlarmChannels() {
+    if (!alarmChannelEl) return;
+    const favorites = getFavoriteChannelEntries();
+    const alarm = getAlarm();
+    alarmChannelEl.innerHTML = "";
+    favorites.forEach((f) => {
+      const opt = document.createElement("option");
+      opt.value = `${f.iso}|${channelRefId(f)}`;
+      opt.textContent = `${f.name || "Channel"} (${f.iso})`;
+      alarmChannelEl.appendChild(opt);
+    });
+    if (favorites.length === 0) {
+      const opt = document.createElement("option");
+      opt.value = "";
+      opt.textContent = "Add favorites first";
+      alarmChannelEl.appendChild(opt);
     }
-  }, { passive: false });
+    alarmChannelEl.disabled = favorites.length === 0;
+    if (alarm) {
+      alarmChannelEl.value = `${alarm.iso}|${channelRefId(alarm)}`;
+      if (alarmTimeEl) alarmTimeEl.value = alarm.time;
+    }
+  }
 
-  // On resize: keep current zoom, only re-center pan so the map doesn’t jump
-  const ro = new ResizeObserver(recenterPanOnly);
-  ro.observe(viewport);
+  if (toggle && section) {
+    toggle.addEventListener("click", () => {
+      const hidden = section.classList.toggle("timers--hidden");
+      section.setAttribute("aria-hidden", hidden);
+      toggle.setAttribute("aria-expanded", !hidden);
+      if (!hidden) renderAlarmChannels();
+    });
+  }
+  addEventListener("worldmedia-favorites-changed", () => {
+    if (section && !section.classList.contains("timers--hidden")) renderAlarmChannels();
+  });
+
+  document.getElementById("timers-alarm-set")?.addEventListener("click", () => {
+    const time = alarmTimeEl?.value;
+    const [iso, ...idParts] = (alarmChannelEl?.value || "").split("|");
+    const id = idParts.join("|");
+    if (!time || !id) {
+      if (alarmStatusEl) alarmStatusEl.textContent = "Pick a time and a favorite channel.";
+      return;
+    }
+    const fav = getFavoriteChannelEntries().find((f) => f.iso === iso && channelRefId(f) === id);
+    setAlarm({ at: nextAlarmTime(time), time, iso, channelId: id, url: fav?.url, name: fav?.name || "Channel" });
+  });
+  document.getElementById("timers-alarm-cancel")?.addEventListener("click", () => {
+    setAlarm(null);
+    if (alarmStatusEl) alarmStatusEl.textContent = "";
+  });
+  document.getElementById("timers-sleep-cancel")?.addEventListener("click", cancelSleepTimer);
+
+  // Sleep panel in the player: one of the two header panels at a time
+  if (sleepBtn && sleepPanel) {
+    sleepBtn.addEventListener("click", () => {
+      sleepPanel.hidden = !sleepPanel.hidden;
+      sleepBtn.setAttribute("aria-expanded", String(!sleepPanel.hidden));
+      if (!sleepPanel.hidden && settingsPanel && !settingsPanel.hidden) {
+        settingsPanel.hidden = true;
+        settingsBtn?.setAttribute("aria-expanded", "false");
+      }
+    });
+    settingsBtn?.addEventListener("click", () => {
+      sleepPanel.hidden = true;
+      sleepBtn.setAttribute("aria-expanded", "false");
+    });
+    sleepPanel.querySelectorAll("[data-sleep-minutes]").forEach((btn) => {
+      btn.addEventListener("click", () => setSleepTimer(Number(btn.getAttribute("data-sleep-minutes"))));
+    });
+  }
+  document.getElementById("player-sleep-set")?.addEventListener("click", () => {
+    const minutes = Math.round(Number(customEl?.value));
+    if (minutes > 0 && minutes <= 24 * 60) setSleepTimer(minutes);
+    else customEl?.focus();
+  });
+  document.getElementById("player-sleep-cancel")?.addEventListener("click", cancelSleepTimer);
+
+  addEventListener("worldmedia-player-opened", () => {
+    const media = getActivePlayerMedia();
+    if (alarmRampPending) {
+      alarmRampPending = false;
+      if (media) rampPlayerVolume(media, 0, 1, ALARM_RAMP_MS);
+    }
+    // Zapping to another element type during the fade: restore the old one, the next tick fades the new one
+    if (sleepFade && media && sleepFade.media !== media) restoreSleepFade();
+  });
+  addEventListener("worldmedia-player-closed", restoreSleepFade);
+
+  const alarm = getAlarm();
+  if (alarm && Date.now() - alarm.at > ALARM_GRACE_MS) setAlarm(null);
+  updateTimersUi();
+  startTimersTick();
+}
+
+// —— Recording: hls.js fragments saved as-is (TS/AAC/fMP4), else MediaRecorder (WebM) on the media element ——
+const RECORDING_MAX_BYTES = 1024 * 1024 * 1024;
+/** A recording still empty after this long says so in its status instead of counting up 0 kB. */
+const RECORDING_EMPTY_WARN_MS = 20000;
+
+/** Active recording: { mode: "segments" | "recorder", channel, chunks, bytes, start, timer, ... }, or null. */
+let playerRecording = null;
+let recordStatusTimer = null;
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} kB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
 
-  return { setScale, getScale };
+/** File extension and MIME type for concatenated HLS fragments, from the first bytes (TS sync byte, fMP4 box, packed audio). */
+function sniffSegmentFormat(bytes) {
+  const tag = String.fromCharCode(...bytes.subarray(4, 8));
+  if (bytes[0] === 0x47) return { ext: "ts", type: "video/mp2t" };
+  if (["ftyp", "styp", "moof", "moov"].includes(tag)) return { ext: "mp4", type: "video/mp4" };
+  if (bytes[0] === 0x49 && bytes[1] === 0x44 && bytes[2] === 0x33) return { ext: "aac", type: "audio/aac" };
+  return { ext: "ts", type: "video/mp2t" };
 }
 
+/** Copies of fragment bytes taken by RecordingFragmentLoader, read once by the FRAG_LOADED handler. */
+const recordingFragmentBytes = new WeakMap();
+let recordingFragmentLoaderClass = null;
+
 /**
- * Add SVG pattern definitions for country flags (one per iso2 with valid flag URL).
- * Inserts into the map SVG's existing <defs>.
+ * Fragment loader (hls.js fLoader) that copies each loaded fragment while a segment recording runs. hls.js
+ * transfers the payload to its transmux worker before FRAG_LOADED fires, which detaches data.payload.
  */
-function addFlagPatternsToMap(svgCountries, features) {
-  const svg = svgCountries.parentElement;
-  if (!svg || svg.tagName !== "svg") return;
-  let defs = svg.querySelector("defs");
-  if (!defs) {
-    defs = document.createElementNS("http://www.w3.org/2000/svg", "defs");
-    svg.insertBefore(defs, svg.firstChild);
+function getRecordingFragmentLoader() {
+  if (!recordingFragmentLoaderClass) {
+    recordingFragmentLoaderClass = class extends Hls.DefaultConfig.loader {
+      load(context, config, callbacks) {
+        super.load(context, config, {
+          ...callbacks,
+          onSuccess: (response, stats, ctx, details) => {
+            const data = response?.data;
+            if (playerRecording?.mode === "segments" && context.frag && data instanceof ArrayBuffer && data.byteLength > 0) {
+              recordingFragmentBytes.set(context.frag, new Uint8Array(data.slice(0)));
+            }
+            callbacks.onSuccess(response, stats, ctx, details);
+          },
+        });
+      }
+    };
   }
-  const seen = new Set();
-  const iso2List = [];
-  features.forEach((f) => {
-    const rawA2 = f.properties?.ISO_A2 ?? "";
-    const rawA3 = f.properties?.ISO_A3 ?? "";
-    const name = f.properties?.NAME ?? f.properties?.ADMIN ?? "";
-    const iso2 = normalizeIso2(rawA2, rawA3, name);
-    if (iso2 && !seen.has(iso2) && getFlagUrl(iso2)) {
-      seen.add(iso2);
-      iso2List.push(iso2);
+  return recordingFragmentLoaderClass;
+}
+
+/** hls.js options for the player: worker transmuxing, fragments copied for recording. */
+function getPlayerHlsConfig() {
+  return { enableWorker: true, fLoader: getRecordingFragmentLoader() };
+}
+
+/** AES-128 (CBC, PKCS#7) fragment bytes -> clear bytes, with the key and IV hls.js loaded for the fragment. */
+async function decryptRecordingFragment(bytes, decryptdata) {
+  if (!decryptdata?.key || !decryptdata.iv || !crypto?.subtle) return null;
+  const key = await crypto.subtle.importKey("raw", decryptdata.key, "AES-CBC", false, ["decrypt"]);
+  return new Uint8Array(await crypto.subtle.decrypt({ name: "AES-CBC", iv: decryptdata.iv }, key, bytes));
+}
+
+/** Collect main fragments of this hls instance into the active segment recording (decrypted for AES-128). */
+function bindHlsRecording(hls) {
+  // Runs on rec.pending, also after the recording was stopped: fragments queued before the stop still get in
+  const addFragment = (rec, frag, bytes) => {
+    if (!bytes || bytes.byteLength === 0) return;
+    if (rec.chunks.length === 0) {
+      const init = frag.initSegment?.data;
+      if (init && init.byteLength) {
+        rec.chunks.push(new Uint8Array(init).slice());
+        rec.bytes += init.byteLength;
+      }
+      rec.format = sniffSegmentFormat(rec.chunks[0] || bytes);
+    }
+    rec.chunks.push(bytes);
+    rec.bytes += bytes.byteLength;
+    if (rec.bytes >= RECORDING_MAX_BYTES && playerRecording === rec) stopPlayerRecording();
+  };
+  hls.on(Hls.Events.FRAG_LOADED, (event, data) => {
+    const rec = playerRecording;
+    const frag = data.frag;
+    const bytes = frag && recordingFragmentBytes.get(frag);
+    if (frag) recordingFragmentBytes.delete(frag);
+    if (!rec || rec.mode !== "segments" || rec.hls !== hls || !frag || frag.type !== "main" || !bytes) return;
+    // Level switches can reload a sequence number already saved
+    if (typeof frag.sn !== "number" || frag.sn <= rec.lastSn) return;
+    rec.lastSn = frag.sn;
+    if (frag.decryptdata?.method === "AES-128") {
+      // Chained so fragments stay in order while each one decrypts
+      rec.pending = rec.pending
+        .then(() => decryptRecordingFragment(bytes, frag.decryptdata))
+        .then((clear) => addFragment(rec, frag, clear), () => {});
+    } else {
+      rec.pending = rec.pending.then(() => addFragment(rec, frag, bytes));
     }
-  });
-  iso2List.forEach((iso2) => {
-    const id = "flag-" + iso2;
-    if (defs.querySelector("#" + id)) return;
-    const flagUrl = getFlagUrl(iso2, 80);
-    if (!flagUrl) return;
-    const pattern = document.createElementNS("http://www.w3.org/2000/svg", "pattern");
-    pattern.setAttribute("id", id);
-    pattern.setAttribute("patternUnits", "objectBoundingBox");
-    pattern.setAttribute("width", "1");
-    pattern.setAttribute("height", "1");
-    pattern.setAttribute("preserveAspectRatio", "xMidYMid slice");
-    const img = document.createElementNS("http://www.w3.org/2000/svg", "image");
-    img.setAttribute("href", flagUrl);
-    img.setAttribute("x", "0");
-    img.setAttribute("y", "0");
-    img.setAttribute("width", "1");
-    img.setAttribute("height", "1");
-    img.setAttribute("preserveAspectRatio", "xMidYMid slice");
-    pattern.appendChild(img);
-    defs.appendChild(pattern);
   });
 }
 
-/**
- * Render GeoJSON features as country paths into #countries.
- * Returns selectByIso2(iso2, onChannelsLoaded) for URL-driven selection.
- */
-function renderCountries(geojson, svgCountries, selectedCountryEl, countryNameEl, countryCodeEl) {
-  svgCountries.innerHTML = "";
-  const features = geojson.features || [];
+function pickRecorderMimeType(isAudio) {
+  const candidates = isAudio
+    ? ["audio/webm;codecs=opus", "audio/webm", "audio/ogg;codecs=opus"]
+    : ["video/webm;codecs=vp9,opus", "video/webm;codecs=vp8,opus", "video/webm"];
+  return candidates.find((t) => MediaRecorder.isTypeSupported(t)) || "";
+}
 
-  addFlagPatternsToMap(svgCountries, features);
+function canRecordCurrentChannel() {
+  const media = getActivePlayerMedia();
+  if (!media) return false;
+  return !!playerHls || (typeof MediaRecorder !== "undefined" && !!(media.captureStream || media.mozCaptureStream));
+}
 
-  function selectCountry(el, toggle, onChannelsLoaded) {
-    const isSelected = el.classList.contains("selected");
-    document.querySelectorAll(".country.selected").forEach((n) => n.classList.remove("selected"));
-    if (toggle && isSelected) {
-      selectedCountryEl.hidden = true;
-      setUrlState({});
+function startPlayerRecording() {
+  const channel = currentPlayerChannel;
+  const media = getActivePlayerMedia();
+  if (!channel || !media || playerRecording) return;
+  const base = { channel, chunks: [], bytes: 0, start: Date.now(), timer: null };
+  if (playerHls) {
+    playerRecording = { ...base, mode: "segments", hls: playerHls, lastSn: -1, format: null, pending: Promise.resolve() };
+  } else {
+    let stream;
+    try {
+      stream = (media.captureStream || media.mozCaptureStream).call(media);
+    } catch (err) {
+      // Cross-origin media without CORS cannot be captured
+      showRecordStatusMessage("This stream cannot be recorded in the browser.");
       return;
     }
-    el.classList.add("selected");
-    countryNameEl.textContent = el.getAttribute("data-name");
-    const iso2 = el.getAttribute("data-iso2");
-    const iso3 = iso2 && ISO2_TO_ISO3[iso2];
-    countryCodeEl.textContent = iso2 ? (iso3 ? `ISO: ${iso2}/${iso3}` : `ISO: ${iso2}`) : (el.getAttribute("data-iso") ? `ISO: ${el.getAttribute("data-iso")}` : "");
-    const countryFlagEl = document.getElementById("country-flag");
-    if (countryFlagEl) {
-      const flagUrl = getFlagUrl(iso2, 80);
-      if (flagUrl) {
-        countryFlagEl.src = flagUrl;
-        countryFlagEl.alt = "";
-        countryFlagEl.hidden = false;
-      } else {
-        countryFlagEl.hidden = true;
-      }
+    const mimeType = pickRecorderMimeType(media.tagName === "AUDIO");
+    let recorder;
+    try {
+      recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    } catch (err) {
+      showRecordStatusMessage("Recording is not supported for this stream.");
+      return;
     }
-    selectedCountryEl.hidden = false;
-    setUrlState({ country: iso2 });
-    loadChannelsForCountry(iso2, onChannelsLoaded);
+    const rec = { ...base, mode: "recorder", recorder, stream, mimeType: recorder.mimeType || mimeType || "video/webm" };
+    recorder.ondataavailable = (e) => {
+      if (!e.data || e.data.size === 0) return;
+      rec.chunks.push(e.data);
+      rec.bytes += e.data.size;
+      if (rec.bytes >= RECORDING_MAX_BYTES && playerRecording === rec) stopPlayerRecording();
+    };
+    recorder.onstop = () => {
+      rec.stream.getTracks().forEach((t) => t.stop());
+      saveRecording(rec);
+    };
+    recorder.onerror = () => {
+      if (playerRecording === rec) stopPlayerRecording();
+    };
+    recorder.start(1000);
+    playerRecording = rec;
   }
+  playerRecording.timer = setInterval(updateRecordUi, 1000);
+  updateRecordUi();
+}
 
-  features.forEach((feature, index) => {
-    const geom = feature.geometry;
-    if (!geom || (geom.type !== "Polygon" && geom.type !== "MultiPolygon")) return;
-
-    const path = geometryToPath(geom);
-    const name = feature.properties?.NAME ?? feature.properties?.ADMIN ?? `Country ${index + 1}`;
-    const rawA3 = feature.properties?.ISO_A3 ?? "";
-    const rawA2 = feature.properties?.ISO_A2 ?? "";
-    const iso = normalizeIsoDisplay(rawA3, rawA2, name);
-    const iso2 = normalizeIso2(rawA2, rawA3, name);
+/** Stop the active recording (button, channel change, modal close, size limit) and offer the file for download. */
+function stopPlayerRecording() {
+  const rec = playerRecording;
+  if (!rec) return;
+  playerRecording = null;
+  clearInterval(rec.timer);
+  if (rec.mode === "recorder") {
+    if (rec.recorder.state !== "inactive") rec.recorder.stop();
+    else saveRecording(rec);
+  } else {
+    // Save after the fragments still decrypting or queued
+    rec.pending.then(() => saveRecording(rec));
+  }
+  updateRecordUi();
+}
 
-    const pathEl = document.createElementNS("http://www.w3.org/2000/svg", "path");
-    pathEl.setAttribute("d", path);
-    pathEl.setAttribute("class", "country");
-    if (iso2 && getFlagUrl(iso2)) {
-      pathEl.setAttribute("fill", "url(#flag-" + iso2 + ")");
-    } else {
-      pathEl.setAttribute("fill", "transparent");
+function saveRecording(rec) {
+  const format = rec.mode === "segments"
+    ? rec.format || { ext: "ts", type: "video/mp2t" }
+    : { ext: rec.mimeType.startsWith("audio/ogg") ? "ogg" : "webm", type: rec.mimeType };
+  const blob = new Blob(rec.chunks, { type: format.type });
+  if (blob.size === 0) {
+    showRecordStatusMessage("Nothing was recorded.");
+    return;
+  }
+  const d = new Date(rec.start);
+  const pad = (n) => String(n).padStart(2, "0");
+  const stamp = `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = `${channelSlug(rec.channel)}-${stamp}.${format.ext}`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 60000);
+  showRecordStatusMessage(`Saved ${formatBytes(blob.size)}`);
+}
+
+function showRecordStatusMessage(text) {
+  const statusEl = document.getElementById("player-record-status");
+  if (!statusEl) return;
+  clearTimeout(recordStatusTimer);
+  statusEl.textContent = text;
+  statusEl.classList.remove("player-record-status--live");
+  statusEl.hidden = false;
+  recordStatusTimer = setTimeout(() => {
+    if (!playerRecording) statusEl.hidden = true;
+  }, 5000);
+}
+
+function updateRecordUi() {
+  const btn = document.getElementById("player-modal-record");
+  const statusEl = document.getElementById("player-record-status");
+  if (btn) {
+    btn.hidden = !playerRecording && !canRecordCurrentChannel();
+    btn.setAttribute("aria-pressed", String(!!playerRecording));
+    btn.title = playerRecording ? "Stop recording and download" : "Record stream";
+    btn.setAttribute("aria-label", btn.title);
+  }
+  if (statusEl && playerRecording) {
+    clearTimeout(recordStatusTimer);
+    const elapsedMs = Date.now() - playerRecording.start;
+    const elapsed = formatCountdown(elapsedMs);
+    const empty = playerRecording.bytes === 0 && elapsedMs >= RECORDING_EMPTY_WARN_MS;
+    statusEl.textContent = empty ? `● ${elapsed} · nothing received yet` : `● ${elapsed} · ${formatBytes(playerRecording.bytes)}`;
+    statusEl.classList.add("player-record-status--live");
+    statusEl.hidden = false;
+  }
+}
+
+function initRecording() {
+  document.getElementById("player-modal-record")?.addEventListener("click", () => {
+    if (playerRecording) stopPlayerRecording();
+    else startPlayerRecording();
+  });
+  addEventListener("worldmedia-player-opened", updateRecordUi);
+}
+
+/**
+ * Close the player modal and stop playback.
+ */
+function closePlayerModal() {
+  currentPlayerChannel = null;
+  const modal = document.getElementById("player-modal");
+  const videoEl = document.getElementById("player-video");
+  const audioEl = document.getElementById("player-audio");
+  const youtubeIframe = document.getElementById("player-youtube-iframe");
+  const webcamImage = document.getElementById("player-webcam-image");
+  const webcamIframe = document.getElementById("player-webcam-iframe");
+  const seoEl = document.getElementById("player-modal-seo");
+  if (seoEl) {
+    seoEl.textContent = "";
+    seoEl.hidden = true;
+  }
+  if (!modal || !videoEl || !audioEl) return;
+  playerAttempt++;
+  clearTimeout(playerStartTimer);
+  stopNowPlaying();
+  stopPlayerRecording();
+  if (document.pictureInPictureElement === videoEl) document.exitPictureInPicture().catch(() => {});
+  if (playerHls) {
+    playerHls.destroy();
+    playerHls = null;
+  }
+  videoEl.pause();
+  audioEl.pause();
+  videoEl.removeAttribute("src");
+  videoEl.load();
+  audioEl.removeAttribute("src");
+  audioEl.load();
+  if (youtubeIframe) youtubeIframe.removeAttribute("src");
+  if (webcamImage) webcamImage.removeAttribute("src");
+  if (webcamIframe) {
+    webcamIframe.removeAttribute("src");
+    webcamIframe.hidden = true;
+  }
+  if (webcamImage) webcamImage.hidden = false;
+  modal.hidden = true;
+  modal.setAttribute("aria-hidden", "true");
+  renderPlayerSettings();
+  setPlayerMini(false);
+  updatePipButton();
+  markPlayingChannelItem();
+  dispatchEvent(new CustomEvent("worldmedia-player-closed"));
+
+  setUrlChannel(null);
+}
+
+function isPlayerModalOpen() {
+  return document.getElementById("player-modal")?.getAttribute("aria-hidden") === "false";
+}
+
+function isPlayerMini() {
+  return !!document.getElementById("player-modal")?.classList.contains("player-modal--mini");
+}
+
+/**
+ * Dock (mini) or expand the player. Docked, the modal shrinks to a corner box without backdrop,
+ * so the map, lists and favorites stay usable while the stream keeps playing in the same elements.
+ */
+function setPlayerMini(mini) {
+  const modal = document.getElementById("player-modal");
+  const btn = document.getElementById("player-modal-minimize");
+  if (!modal) return;
+  modal.classList.toggle("player-modal--mini", mini);
+  modal.setAttribute("aria-modal", String(!mini));
+  if (btn) {
+    btn.setAttribute("aria-pressed", String(mini));
+    btn.textContent = mini ? "▢" : "▁";
+    btn.setAttribute("aria-label", mini ? "Expand player" : "Dock player");
+    btn.title = mini ? "Expand player" : "Dock player (keep playing while browsing)";
+  }
+}
+
+/** Show the Picture-in-Picture button only for <video> playback in browsers that support it. */
+function updatePipButton() {
+  const btn = document.getElementById("player-modal-pip");
+  const videoEl = document.getElementById("player-video");
+  const tvWrap = document.getElementById("player-tv-wrap");
+  if (!btn || !videoEl) return;
+  const supported = !!document.pictureInPictureEnabled && !videoEl.disablePictureInPicture;
+  btn.hidden = !supported || !currentPlayerChannel || !tvWrap || tvWrap.hidden;
+  btn.setAttribute("aria-pressed", String(document.pictureInPictureElement === videoEl));
+}
+
+async function togglePictureInPicture() {
+  const videoEl = document.getElementById("player-video");
+  if (!videoEl) return;
+  try {
+    if (document.pictureInPictureElement) await document.exitPictureInPicture();
+    else await videoEl.requestPictureInPicture();
+  } catch (_) {
+    const errorEl = document.getElementById("player-error");
+    if (errorEl) {
+      errorEl.textContent = "Picture-in-picture is not available for this stream.";
+      errorEl.hidden = false;
     }
-    pathEl.setAttribute("data-name", name);
-    pathEl.setAttribute("data-iso", iso);
-    if (iso2) pathEl.setAttribute("data-iso2", iso2);
-    pathEl.setAttribute("data-index", String(index));
-    pathEl.setAttribute("tabindex", "0");
-    pathEl.setAttribute("role", "button");
-    pathEl.setAttribute("aria-label", `Select ${name}`);
+  }
+}
 
-    pathEl.addEventListener("click", (e) => {
-      if (pointerMovedDuringPan) return;
-      selectCountry(pathEl, true);
+/** Build single-select (radio) buttons for type or source filter; one option always selected. */
+function buildChannelFilterToggles(containerId, values, kind) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+  container.innerHTML = "";
+  container.setAttribute("role", "radiogroup");
+  container.setAttribute("aria-label", kind === "type" ? "Filter by type" : "Filter by source");
+  const typeLabels = { tv: "TV", radio: "Radio", youtube: "YouTube", webcam: "Webcam" };
+  const allValue = "";
+  const options = [allValue, ...values.filter((v) => v !== allValue)];
+  options.forEach((val, index) => {
+    const label = val === allValue ? "All" : (kind === "type" ? (typeLabels[val] || val.charAt(0).toUpperCase() + val.slice(1)) : val);
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "filter-toggle" + (index === 0 ? " active" : "");
+    btn.textContent = label;
+    btn.setAttribute("data-filter-kind", kind);
+    btn.setAttribute("data-filter-value", val);
+    btn.setAttribute("aria-pressed", String(index === 0));
+    btn.setAttribute("role", "radio");
+    btn.setAttribute("aria-checked", String(index === 0));
+    btn.addEventListener("click", () => {
+      setActiveFilterToggle(containerId, val);
+      applyChannelFilters();
     });
-    pathEl.addEventListener("keydown", (e) => {
-      if (e.key === "Enter" || e.key === " ") {
-        e.preventDefault();
-        selectCountry(pathEl, true);
-      }
+    container.appendChild(btn);
+  });
+}
+
+/** Mark the toggle with this value active in a filter group ("All" when no toggle has it, e.g. a stale URL filter). */
+function setActiveFilterToggle(containerId, value) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+  const toggles = Array.from(container.querySelectorAll(".filter-toggle"));
+  const active = toggles.find((b) => b.getAttribute("data-filter-value") === value) || toggles[0];
+  toggles.forEach((b) => {
+    const isActive = b === active;
+    b.classList.toggle("active", isActive);
+    b.setAttribute("aria-pressed", String(isActive));
+    b.setAttribute("aria-checked", String(isActive));
+  });
+}
+
+// —— Channel metadata filters: language, genre and quality (multi-select, any picked value matches) ——
+/** Values are matched by lowercase label ("french", "news", "hd"), which is also what the URL carries. */
+const CHANNEL_META_FILTERS = [
+  { key: "lang", containerId: "filter-language", label: "language", labels: channelLanguageLabels },
+  { key: "genre", containerId: "filter-genre", label: "genre", labels: channelGenreLabels },
+  { key: "quality", containerId: "filter-quality", label: "quality", labels: channelQualityLabels, order: ["4K", "HD", "SD"] },
+];
+
+let languageDisplayNames = null;
+
+/** English name for an ISO 639 code ("fra", "fr" -> "French"); other values (names from tvg-language) as given. */
+function languageLabel(value) {
+  const text = String(value || "").trim();
+  if (/^[a-z]{2,3}$/i.test(text)) {
+    try {
+      languageDisplayNames = languageDisplayNames || new Intl.DisplayNames(["en"], { type: "language" });
+      return languageDisplayNames.of(text.toLowerCase()) || text;
+    } catch (_) {}
+  }
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function channelLanguageLabels(ch) {
+  return (Array.isArray(ch.languages) ? ch.languages : []).map(languageLabel).filter(Boolean);
+}
+
+function channelGenreLabels(ch) {
+  return (Array.isArray(ch.genres) ? ch.genres : [])
+    .map((g) => String(g || "").trim().replace(/[_-]+/g, " "))
+    .filter(Boolean)
+    .map((g) => g.charAt(0).toUpperCase() + g.slice(1));
+}
+
+/**
+ * "4K", "HD" (720 lines and up) or "SD" from the quality field, else from the name ("France 24 (1080p)", "TF1 HD");
+ * none when the channel doesn't say.
+ */
+function channelQualityLabels(ch) {
+  const name = String(ch.name || "");
+  const lines = String(ch.quality || "").match(/(\d{3,4})[pi]?/i) || name.match(/\((\d{3,4})[pi]\)/i);
+  if (lines) return [Number(lines[1]) >= 2160 ? "4K" : Number(lines[1]) >= 720 ? "HD" : "SD"];
+  if (/\b(4k|uhd)\b/i.test(`${ch.quality || ""} ${name}`)) return ["4K"];
+  if (/\b(hd|fhd)\b/i.test(`${ch.quality || ""} ${name}`)) return ["HD"];
+  if (/\bsd\b/i.test(String(ch.quality || ""))) return ["SD"];
+  return [];
+}
+
+/** Build multi-select toggles from { value, label } options; "All" clears the pick. The group is hidden without options. */
+function buildChannelMultiFilterToggles(containerId, options, label) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+  const group = document.getElementById(`${containerId}-group`);
+  if (group) group.hidden = options.length === 0;
+  container.innerHTML = "";
+  container.setAttribute("role", "group");
+  container.setAttribute("aria-label", `Filter by ${label}`);
+  [{ value: "", label: "All" }, ...options].forEach((option) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "filter-toggle" + (option.value === "" ? " active" : "");
+    btn.textContent = option.label;
+    btn.setAttribute("data-filter-value", option.value);
+    btn.setAttribute("aria-pressed", String(option.value === ""));
+    btn.addEventListener("click", () => {
+      const values = getMultiFilterValues(containerId);
+      if (option.value === "") setMultiFilterValues(containerId, []);
+      else if (values.includes(option.value)) setMultiFilterValues(containerId, values.filter((v) => v !== option.value));
+      else setMultiFilterValues(containerId, [...values, option.value]);
+      applyChannelFilters();
     });
+    container.appendChild(btn);
+  });
+}
 
-    // Infobubble on hover
-    pathEl.addEventListener("mouseenter", (e) => showTooltip(e, pathEl));
-    pathEl.addEventListener("mousemove", (e) => moveTooltip(e));
-    pathEl.addEventListener("mouseleave", () => hideTooltip());
+/** Values picked in a multi-select filter group ([] = all). */
+function getMultiFilterValues(containerId) {
+  return Array.from(document.querySelectorAll(`#${containerId} .filter-toggle.active`))
+    .map((b) => b.getAttribute("data-filter-value") || "")
+    .filter(Boolean);
+}
 
-    svgCountries.appendChild(pathEl);
+/** Pick these values in a multi-select filter group; values it has no toggle for are ignored, none picked = "All". */
+function setMultiFilterValues(containerId, values) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+  const toggles = Array.from(container.querySelectorAll(".filter-toggle"));
+  const picked = toggles.filter((b) => {
+    const value = b.getAttribute("data-filter-value");
+    return value !== "" && values.includes(value);
   });
+  toggles.forEach((b) => {
+    const isActive = picked.length > 0 ? picked.includes(b) : b.getAttribute("data-filter-value") === "";
+    b.classList.toggle("active", isActive);
+    b.setAttribute("aria-pressed", String(isActive));
+  });
+}
 
-  return function selectByIso2(iso2, onChannelsLoaded) {
-    const norm = (iso2 || "").trim().toUpperCase();
-    if (norm.length !== 2) return;
-    const el = svgCountries.querySelector(`.country[data-iso2="${norm}"]`);
-    if (el) selectCountry(el, false, onChannelsLoaded);
+function refreshFavoriteStarsInList() {
+  const listEl = document.getElementById("channel-list");
+  if (!listEl) return;
+  listEl.querySelectorAll(".channel-item").forEach((li) => {
+    const iso = li.getAttribute("data-iso") || "";
+    const id = li.getAttribute("data-channel-id") || "";
+    const favBtn = li.querySelector(".channel-item-fav");
+    if (favBtn) {
+      const inFav = isChannelInFavorites(iso, id);
+      favBtn.classList.toggle("is-favorite", inFav);
+      favBtn.setAttribute("aria-label", inFav ? "Remove from favorites" : "Add to favorites");
+      favBtn.title = inFav ? "Remove from favorites" : "Add to favorites";
+    }
+  });
+}
+
+/** Current list filters { type, source, region, q, lang, genre, quality } ("" = all; metadata filters comma-separated), as kept in the URL. */
+function getChannelFilterState() {
+  const value = (id) => document.querySelector(`#${id} .filter-toggle.active`)?.getAttribute("data-filter-value") ?? "";
+  const state = {
+    type: value("filter-type"),
+    source: value("filter-source"),
+    region: getSelectedRegion(),
+    q: document.getElementById("filter-text")?.value || "",
   };
+  CHANNEL_META_FILTERS.forEach((filter) => {
+    state[filter.key] = getMultiFilterValues(filter.containerId).join(",");
+  });
+  return state;
 }
 
-/** Apply ?country=XX&channel=slug from URL (e.g. on load or after re-render). Country can be ISO2 or ISO3; map uses ISO2 so we normalize for selection. */
-function applyUrlState(selectByIso2) {
-  const { country, channel } = getUrlState();
-  if (!country) return;
-  if (country === UNKNOWN_COUNTRY_ISO) {
-    selectUnknown((channels) => {
-      if (channel && channels) {
-        const ch = findChannelBySlug(channels, channel);
-        if (ch) openPlayerModal(ch);
-      }
+/** Set type/source/region/text/metadata filters (from the URL, or kept across a list re-render) and apply them. */
+function setChannelFilterState(filters) {
+  setActiveFilterToggle("filter-type", filters.type);
+  setActiveFilterToggle("filter-source", filters.source);
+  CHANNEL_META_FILTERS.forEach((filter) => {
+    setMultiFilterValues(filter.containerId, String(filters[filter.key] || "").toLowerCase().split(",").filter(Boolean));
+  });
+  const filterTextEl = document.getElementById("filter-text");
+  if (filterTextEl && filterTextEl.value !== filters.q) filterTextEl.value = filters.q;
+  // setSelectedRegion ignores codes the list has no channels for, then reapplies all filters
+  setSelectedRegion(filters.region);
+}
+
+/** Show/hide channel list items based on selected type, source, region, metadata filters and text search. */
+function applyChannelFilters() {
+  const listEl = document.getElementById("channel-list");
+  const typeContainer = document.getElementById("filter-type");
+  const sourceContainer = document.getElementById("filter-source");
+  const filterTextEl = document.getElementById("filter-text");
+  if (!listEl) return;
+  let selectedType = "";
+  let selectedSource = "";
+  const activeTypeBtn = typeContainer?.querySelector(".filter-toggle.active");
+  const activeSourceBtn = sourceContainer?.querySelector(".filter-toggle.active");
+  if (activeTypeBtn) selectedType = activeTypeBtn.getAttribute("data-filter-value") ?? "";
+  if (activeSourceBtn) selectedSource = activeSourceBtn.getAttribute("data-filter-value") ?? "";
+  const searchRaw = (filterTextEl && filterTextEl.value) ? filterTextEl.value.trim() : "";
+  const search = searchRaw.toLowerCase();
+  const hideOffline = isHideOfflineEnabled();
+  const selectedRegion = getSelectedRegion();
+  const selectedMeta = CHANNEL_META_FILTERS.map((filter) => getMultiFilterValues(filter.containerId));
+  listEl.querySelectorAll(".channel-item").forEach((li) => {
+    const type = li.getAttribute("data-type") || "";
+    const sources = (li.getAttribute("data-sources") || li.getAttribute("data-source") || "").split("|").filter(Boolean);
+    const typeOk = selectedType === "" || type === selectedType;
+    const sourceOk = selectedSource === "" || sources.includes(selectedSource);
+    const nameEl = li.querySelector(".channel-item-name");
+    const sourceEl = li.querySelector(".channel-item-source");
+    const nameStr = (nameEl && nameEl.textContent) ? nameEl.textContent.toLowerCase() : "";
+    const sourceStr = (sourceEl && sourceEl.textContent) ? sourceEl.textContent.toLowerCase() : "";
+    const textOk = search === "" || nameStr.includes(search) || sourceStr.includes(search);
+    const healthOk = !hideOffline || li.getAttribute("data-health") !== "offline";
+    const regionOk = selectedRegion === "" || (li.getAttribute("data-regions") || "").split("|").includes(selectedRegion);
+    const metaOk = CHANNEL_META_FILTERS.every((filter, i) => {
+      if (selectedMeta[i].length === 0) return true;
+      const values = (li.getAttribute(`data-${filter.key}`) || "").split("|");
+      return selectedMeta[i].some((v) => values.includes(v));
     });
-    return;
-  }
-  if (typeof selectByIso2 !== "function") return;
-  const iso2ForMap = country.length === 3 ? (ISO3_TO_ISO2_FALLBACK[country] || country) : country;
-  selectByIso2(iso2ForMap, (channels) => {
-    if (channel && channels) {
-      const ch = findChannelBySlug(channels, channel);
-      if (ch) openPlayerModal(ch);
-    }
+    li.classList.toggle("filtered-out", !(typeOk && sourceOk && textOk && healthOk && regionOk && metaOk));
   });
+  markPlayingChannelItem(false);
+  updatePlayerZapButtons();
+  const metaFilters = {};
+  CHANNEL_META_FILTERS.forEach((filter, i) => {
+    metaFilters[filter.key] = selectedMeta[i].join(",");
+  });
+  setUrlFilters({ type: selectedType, source: selectedSource, region: selectedRegion, q: searchRaw, ...metaFilters });
+}
+
+/** Channel object behind each .channel-item (set when the list is built; used for zapping). */
+const channelItemData = new WeakMap();
+
+/** Visible (not filtered-out) channel list items, in list order. */
+function getVisibleChannelItems() {
+  const listEl = document.getElementById("channel-list");
+  if (!listEl) return [];
+  return Array.from(listEl.querySelectorAll(".channel-item:not(.filtered-out)")).filter((li) => channelItemData.has(li));
+}
+
+/** Index of the channel playing in the modal within the visible items (same object first, then iso + channel id), or -1. */
+function findPlayingItemIndex(items) {
+  if (!currentPlayerChannel) return -1;
+  const idx = items.findIndex((li) => channelItemData.get(li) === currentPlayerChannel);
+  if (idx !== -1) return idx;
+  const iso = (currentPlayerChannel.iso || "").toUpperCase();
+  const id = channelId(currentPlayerChannel);
+  return items.findIndex((li) => li.getAttribute("data-iso") === iso && li.getAttribute("data-channel-id") === id);
+}
+
+/** Mark the list item of the playing channel (also after the list is rebuilt) and optionally scroll it into view. */
+function markPlayingChannelItem(scroll = true) {
+  const listEl = document.getElementById("channel-list");
+  if (!listEl) return;
+  listEl.querySelectorAll(".channel-item--playing").forEach((li) => li.classList.remove("channel-item--playing"));
+  if (!currentPlayerChannel) return;
+  const items = getVisibleChannelItems();
+  const li = items[findPlayingItemIndex(items)];
+  if (li) {
+    li.classList.add("channel-item--playing");
+    if (scroll) li.scrollIntoView({ block: "nearest" });
+  }
 }
 
 /**
- * Fetch GeoJSON from URL and render countries. Shows loading overlay.
- * Returns a promise that resolves to selectByIso2(iso2, onChannelsLoaded) for URL-driven selection.
+ * Step to the previous (-1) or next (+1) visible channel in #channel-list and play it.
+ * Wraps around at both ends; items hidden by applyChannelFilters() are skipped.
  */
-async function loadAndRenderCountries(geojsonUrl) {
-  const svgCountries = document.getElementById("countries");
-  const loading = document.getElementById("map-loading");
+function zapChannel(step) {
+  const items = getVisibleChannelItems();
+  if (items.length === 0) return;
+  const idx = findPlayingItemIndex(items);
+  const nextIdx = idx === -1 ? (step > 0 ? 0 : items.length - 1) : (idx + step + items.length) % items.length;
+  const ch = channelItemData.get(items[nextIdx]);
+  if (ch && ch !== currentPlayerChannel) openPlayerModal(ch);
+}
+
+/** Enable prev/next in the player header only when there is another visible channel to step to. */
+function updatePlayerZapButtons() {
+  const prevBtn = document.getElementById("player-modal-prev");
+  const nextBtn = document.getElementById("player-modal-next");
+  if (!prevBtn || !nextBtn) return;
+  const items = getVisibleChannelItems();
+  const idx = findPlayingItemIndex(items);
+  const canZap = items.length > 1 || (items.length === 1 && idx === -1);
+  prevBtn.disabled = !canZap;
+  nextBtn.disabled = !canZap;
+  const positionEl = document.getElementById("player-modal-position");
+  if (positionEl) {
+    positionEl.textContent = idx !== -1 ? `${idx + 1} / ${items.length}` : "";
+    positionEl.hidden = idx === -1;
+  }
+}
+
+/** ISO code used for channels from unknown/unmapped countries. */
+const UNKNOWN_COUNTRY_ISO = "XX";
+
+/**
+ * Select "Unknown" country in the sidebar (no map path). Loads data/channels/XX/<sourcename>.json.
+ */
+function selectUnknown(onChannelsLoaded) {
   const selectedCountryEl = document.getElementById("selected-country");
   const countryNameEl = document.getElementById("country-name");
   const countryCodeEl = document.getElementById("country-code");
+  const countryFlagEl = document.getElementById("country-flag");
+  if (!selectedCountryEl || !countryNameEl || !countryCodeEl) return;
+  document.querySelectorAll(".country.selected").forEach((c) => c.classList.remove("selected"));
+  updateCountryTime();
+  selectedCountryEl.hidden = false;
+  countryNameEl.textContent = "Unknown";
+  countryCodeEl.textContent = "ISO: " + UNKNOWN_COUNTRY_ISO;
+  if (countryFlagEl) countryFlagEl.hidden = true;
+  setUrlState({ country: UNKNOWN_COUNTRY_ISO });
+  setViewModeButtons("country");
+  loadChannelsForCountry(UNKNOWN_COUNTRY_ISO, onChannelsLoaded);
+}
 
-  loading.classList.remove("hidden");
-  loading.textContent = "Loading map…";
-  selectedCountryEl.hidden = true;
+// —— Channel manifest (data/active.json, written by scripts/import.sh): which source files exist, with counts ——
+const CHANNEL_MANIFEST_URL = "data/active.json";
+/** Merged lists show TV first and webcams last whatever order the source files arrive in; other types go last. */
+const CHANNEL_TYPE_ORDER = ["tv", "radio", "youtube", "webcam"];
 
+/**
+ * { countries: { FR: { "iptv-org": 202, … } }, categories: { News: { … } }, categoryNames, epg: [XMLTV file names],
+ * ids: checksum of all channel ids (changes when an import changes ids) } once loaded.
+ */
+let channelManifest = null;
+
+async function loadChannelManifest() {
+  if (channelManifest) return channelManifest;
   try {
-    const res = await fetch(geojsonUrl);
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const geojson = await res.json();
-    const selectByIso2 = renderCountries(geojson, svgCountries, selectedCountryEl, countryNameEl, countryCodeEl);
-    loading.classList.add("hidden");
-    return selectByIso2;
+    const res = await fetch(CHANNEL_MANIFEST_URL);
+    const data = res.ok ? await res.json() : {};
+    channelManifest = {
+      countries: data.countries || {},
+      categories: data.categories || {},
+      categoryNames: data.categoryNames || [],
+      epg: Array.isArray(data.epg) ? data.epg : [],
+      ids: typeof data.ids === "string" ? data.ids : "",
+    };
+  } catch {
+    channelManifest = { countries: {}, categories: {}, categoryNames: [], epg: [], ids: "" };
+  }
+  return channelManifest;
+}
+
+/** Source names of a manifest entry ({ source: count }), largest first. */
+function getManifestSources(counts) {
+  return Object.entries(counts || {}).sort((a, b) => b[1] - a[1]).map(([source]) => source);
+}
+
+/** Source files listed in the manifest for a country code (data/channels/<code>/<source>.json), largest first. */
+function getCountryChannelFiles(manifest, code) {
+  return getManifestSources(manifest.countries[code]).map((source) => `data/channels/${code}/${source}.json`);
+}
+
+function getCategoryChannelFiles(manifest, categoryName) {
+  return getManifestSources(manifest.categories[categoryName])
+    .map((source) => `data/cat_channels/${encodeURIComponent(categoryName)}/${source}.json`);
+}
+
+/**
+ * Return list of country codes to try for loading. Tries BOTH for any country in the metadata table:
+ * e.g. France → [FR, FRA] so we load data/channels/FR/<sourcename>.json AND data/channels/FRA/<sourcename>.json.
+ * Puts 2-letter first (canonical data path), then 3-letter. Unknown 2/3-letter codes are tried as-is.
+ */
+function getChannelLoadCodes(countryCode) {
+  const code = (countryCode || "").trim().toUpperCase();
+  if (!code) return [];
+  const entry = findCountry(code);
+  if (!entry) return code.length === 2 || code.length === 3 ? [code] : [];
+  return entry.iso3 && entry.iso3 !== entry.iso2 ? [entry.iso2, entry.iso3] : [entry.iso2];
+}
+
+/**
+ * Name key for grouping the same channel across sources: lowercase, no accents, no resolution or
+ * status hints like "(1080p)" / "[Geo-blocked]", no trailing HD/SD, punctuation collapsed.
+ */
+function normalizeChannelName(name) {
+  return String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, " ")
+    .replace(/\b(hd|sd|fhd|uhd|4k)\b/g, " ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Merge entries that are the same channel (same country, type and normalized name) into one logical
+ * channel: the first entry, in load order, with `variants` listing every entry as an ordered stream list.
+ * Webcams are never grouped (many distinct cameras share generic names) and entries without a URL stay single.
+ */
+function groupChannelVariants(channels) {
+  const out = [];
+  const groups = new Map();
+  for (const ch of channels) {
+    const type = String(ch.type || "tv").toLowerCase().trim();
+    const key = normalizeChannelName(ch.name);
+    if (type === "webcam" || !key || !(ch.url && ch.url.trim())) {
+      out.push(ch);
+      continue;
+    }
+    const groupKey = `${(ch.iso || "").toUpperCase()}|${type}|${key}`;
+    const group = groups.get(groupKey);
+    if (group) {
+      group.variants.push(ch);
+      if (!group.logo && ch.logo) group.logo = ch.logo;
+    } else {
+      const logical = { ...ch, variants: [ch] };
+      groups.set(groupKey, logical);
+      out.push(logical);
+    }
+  }
+  return out;
+}
+
+/** A grouped channel is hidden when any of its variants was trashed. */
+function isChannelGroupInTrash(ch) {
+  const iso = (ch.iso || "").toUpperCase();
+  return getChannelVariants(ch).some((v) => isChannelInTrash(iso, channelId(v)));
+}
+
+// —— Stream health: background probes of the loaded channel list (badges + "hide offline"), cached in localStorage ——
+const STREAM_HEALTH_STORAGE_KEY = "worldmedia-stream-health";
+const STREAM_HEALTH_TTL_MS = 30 * 60 * 1000;
+const STREAM_HEALTH_MAX_ENTRIES = 3000;
+const STREAM_HEALTH_CONCURRENCY = 4;
+const STREAM_HEALTH_TIMEOUT_MS = 8000;
+const HIDE_OFFLINE_STORAGE_KEY = "worldmedia-hide-offline";
+
+/** Incremented for every new channel list so probes of a previous list stop early. */
+let streamHealthRun = 0;
+/** Probe results not yet written to localStorage (url -> entry); flushed once per probe round. */
+const pendingStreamHealth = new Map();
+
+function getStreamHealthCache() {
+  let data = {};
+  try {
+    const raw = localStorage.getItem(STREAM_HEALTH_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) data = parsed;
+  } catch (_) {}
+  pendingStreamHealth.forEach((entry, url) => { data[url] = entry; });
+  return data;
+}
+
+/** Cached { status, latency, at } for a URL, or null when missing or older than the TTL. */
+function getCachedStreamHealth(url, cache = getStreamHealthCache()) {
+  const entry = cache[url];
+  if (!entry || Date.now() - (entry.at || 0) > STREAM_HEALTH_TTL_MS) return null;
+  return entry;
+}
+
+function setCachedStreamHealth(url, result) {
+  pendingStreamHealth.set(url, { status: result.status, latency: result.latency, at: Date.now() });
+}
+
+/** Write pending probe results in one go, dropping expired entries and keeping the newest STREAM_HEALTH_MAX_ENTRIES. */
+function flushStreamHealthCache() {
+  if (pendingStreamHealth.size === 0) return;
+  const data = getStreamHealthCache();
+  pendingStreamHealth.clear();
+  const now = Date.now();
+  let keys = Object.keys(data).filter((k) => now - (data[k].at || 0) <= STREAM_HEALTH_TTL_MS);
+  if (keys.length > STREAM_HEALTH_MAX_ENTRIES) {
+    keys = keys.sort((a, b) => data[b].at - data[a].at).slice(0, STREAM_HEALTH_MAX_ENTRIES);
+  }
+  const pruned = {};
+  keys.forEach((k) => { pruned[k] = data[k]; });
+  try {
+    localStorage.setItem(STREAM_HEALTH_STORAGE_KEY, JSON.stringify(pruned));
+  } catch (_) {}
+}
+
+function isHideOfflineEnabled() {
+  try {
+    return localStorage.getItem(HIDE_OFFLINE_STORAGE_KEY) === "1";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Probe one stream URL. HLS: fetch the manifest (must start with #EXTM3U). Image webcams: load the image.
+ * Other audio/video URLs: load media metadata. YouTube and Windy embeds cannot be checked: "unknown".
+ * Resolves to { status: "online" | "offline" | "unknown", latency } (latency in ms, online only).
+ */
+function probeStreamUrl(url, mediaType) {
+  if (!url || mediaType === "youtube" || (mediaType === "webcam" && getWindyEmbedUrl(url))) {
+    return Promise.resolve({ status: "unknown", latency: null });
+  }
+  const start = performance.now();
+  const online = () => ({ status: "online", latency: Math.round(performance.now() - start) });
+  const offline = { status: "offline", latency: null };
+
+  if (isHlsUrl(url)) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), STREAM_HEALTH_TIMEOUT_MS);
+    return fetch(url, { cache: "no-store", signal: controller.signal })
+      .then((res) => (res.ok ? res.text() : ""))
+      .then((text) => (text.trimStart().startsWith("#EXTM3U") ? online() : offline))
+      .catch(() => offline)
+      .finally(() => clearTimeout(timer));
+  }
+
+  return new Promise((resolve) => {
+    const isImage = mediaType === "webcam";
+    const el = isImage ? new Image() : document.createElement(mediaType === "radio" ? "audio" : "video");
+    let timer = null;
+    const done = (result) => {
+      clearTimeout(timer);
+      el.onload = el.onerror = el.onloadedmetadata = null;
+      el.removeAttribute("src");
+      if (!isImage) el.load();
+      resolve(result);
+    };
+    timer = setTimeout(() => done(offline), STREAM_HEALTH_TIMEOUT_MS);
+    el.onerror = () => done(offline);
+    if (isImage) {
+      el.onload = () => done(online());
+    } else {
+      el.preload = "metadata";
+      el.muted = true;
+      el.onloadedmetadata = () => done(online());
+    }
+    el.src = url;
+  });
+}
+
+/** Probe a channel: its streams in order until one is online (alternate streams count). */
+async function probeChannelHealth(ch, run) {
+  const mediaType = String(ch.type || "tv").toLowerCase();
+  let last = { status: "unknown", latency: null };
+  for (const variant of getChannelVariants(ch)) {
+    if (run !== streamHealthRun) return null;
+    const url = variant.url && variant.url.trim();
+    if (!url) continue;
+    const cached = getCachedStreamHealth(url);
+    const result = cached || (await probeStreamUrl(url, mediaType));
+    if (!cached && run === streamHealthRun) setCachedStreamHealth(url, result);
+    if (result.status === "online") return result;
+    if (result.status === "offline" || last.status === "unknown") last = result;
+  }
+  return last;
+}
+
+function setChannelItemHealth(li, result) {
+  const badge = li.querySelector(".channel-item-health");
+  const status = result ? result.status : "checking";
+  li.setAttribute("data-health", status);
+  if (!badge) return;
+  badge.className = `channel-item-health channel-item-health--${status}`;
+  const labels = { checking: "Checking…", online: "Online", offline: "Offline", unknown: "Status unknown" };
+  badge.textContent = status === "online" && result.latency != null ? `${result.latency} ms` : status === "offline" ? "offline" : status === "unknown" ? "?" : "…";
+  badge.title = status === "online" && result.latency != null ? `Online, responded in ${result.latency} ms` : labels[status];
+}
+
+/**
+ * Check every channel in the list with at most STREAM_HEALTH_CONCURRENCY probes in flight. Cached results
+ * are applied immediately; a newer list (another country or category) cancels the remaining queue.
+ */
+function checkChannelListHealth(listEl) {
+  const run = ++streamHealthRun;
+  const queue = [];
+  const cache = getStreamHealthCache();
+  listEl.querySelectorAll(".channel-item").forEach((li) => {
+    const ch = channelItemData.get(li);
+    if (!ch) return;
+    const cached = getChannelVariants(ch).map((v) => v.url && getCachedStreamHealth(v.url.trim(), cache)).filter(Boolean);
+    const cachedOnline = cached.find((r) => r.status === "online");
+    if (cachedOnline || (cached.length > 0 && cached.length === getChannelVariants(ch).length)) {
+      setChannelItemHealth(li, cachedOnline || cached.find((r) => r.status === "offline") || cached[0]);
+    } else {
+      setChannelItemHealth(li, null);
+      queue.push(li);
+    }
+  });
+  const worker = async () => {
+    while (queue.length > 0 && run === streamHealthRun) {
+      const li = queue.shift();
+      const result = await probeChannelHealth(channelItemData.get(li), run);
+      if (!result || run !== streamHealthRun) return;
+      setChannelItemHealth(li, result);
+      if (result.status === "offline" && isHideOfflineEnabled()) applyChannelFilters();
+    }
+  };
+  const workers = [];
+  for (let i = 0; i < STREAM_HEALTH_CONCURRENCY; i++) workers.push(worker());
+  Promise.all(workers).then(flushStreamHealthCache);
+}
+
+function initHideOfflineToggle() {
+  const btn = document.getElementById("filter-hide-offline");
+  if (!btn) return;
+  const sync = () => {
+    const on = isHideOfflineEnabled();
+    btn.classList.toggle("active", on);
+    btn.setAttribute("aria-pressed", String(on));
+  };
+  sync();
+  btn.addEventListener("click", () => {
+    try {
+      localStorage.setItem(HIDE_OFFLINE_STORAGE_KEY, isHideOfflineEnabled() ? "0" : "1");
+    } catch (_) {}
+    sync();
+    applyChannelFilters();
+  });
+  // Probe round cut short by leaving the page
+  addEventListener("pagehide", flushStreamHealthCache);
+}
+
+/** Fill #channel-list with channel items (shared by country and category views) and rebuild the type/source filters. */
+function renderChannelList(listEl, channels) {
+  const typeSet = new Set();
+  const sourceSet = new Set();
+  /** Per CHANNEL_META_FILTERS entry: value -> label of every option some channel has. */
+  const metaOptions = CHANNEL_META_FILTERS.map(() => new Map());
+  for (const ch of channels) {
+    const typeNorm = String(ch.type || "tv").toLowerCase().trim();
+    const sourceNorm = (ch.source_name && String(ch.source_name).trim()) || "";
+    const variants = getChannelVariants(ch);
+    const variantSources = Array.from(new Set(variants.map((v) => (v.source_name && String(v.source_name).trim()) || "").filter(Boolean)));
+    const regions = Array.from(new Set(variants.map((v) => v.region).filter(Boolean)));
+    typeSet.add(typeNorm);
+    variantSources.forEach((src) => sourceSet.add(src));
+
+    const li = document.createElement("li");
+    li.className = "channel-item";
+    li.setAttribute("role", "button");
+    li.setAttribute("tabindex", "0");
+    li.setAttribute("aria-label", `Play ${ch.name || "Channel"}`);
+    li.setAttribute("data-type", typeNorm);
+    li.setAttribute("data-source", sourceNorm);
+    li.setAttribute("data-sources", variantSources.join("|"));
+    li.setAttribute("data-regions", regions.join("|"));
+    li.setAttribute("data-iso", (ch.iso || "").toUpperCase());
+    li.setAttribute("data-channel-id", channelId(ch));
+    CHANNEL_META_FILTERS.forEach((filter, i) => {
+      const labels = variants.flatMap(filter.labels);
+      labels.forEach((label) => metaOptions[i].set(label.toLowerCase(), label));
+      li.setAttribute(`data-${filter.key}`, Array.from(new Set(labels.map((label) => label.toLowerCase()))).join("|"));
+    });
+    channelItemData.set(li, ch);
+    const body = document.createElement("div");
+    body.className = "channel-item-body";
+    const nameEl = document.createElement("span");
+    nameEl.className = "channel-item-name";
+    nameEl.textContent = ch.name || "Channel";
+    const typeEl = document.createElement("span");
+    typeEl.className = "channel-item-type";
+    typeEl.textContent = ch.type || "tv";
+    const healthEl = document.createElement("span");
+    healthEl.className = "channel-item-health";
+    const newEl = document.createElement("span");
+    newEl.className = "channel-item-new";
+    newEl.textContent = "New";
+    newEl.title = "Added since your last visit";
+    newEl.hidden = true;
+    body.append(nameEl, " ", newEl, " ", typeEl, " ", healthEl);
+    if (variants.length > 1) {
+      const variantsEl = document.createElement("span");
+      variantsEl.className = "channel-item-variants";
+      variantsEl.textContent = `${variants.length} streams`;
+      variantsEl.title = "Alternate streams; the player switches automatically if one fails";
+      body.append(" ", variantsEl);
+    }
+    if (sourceNorm || (ch.source && String(ch.source).trim())) {
+      const src = ch.source && String(ch.source).trim();
+      const text = variantSources.length > 1 ? variantSources.join(", ") : (sourceNorm || src || "");
+      const truncated = text.length > 28 ? text.slice(0, 26) + "…" : text;
+      const sourceEl = document.createElement("span");
+      sourceEl.className = "channel-item-source";
+      sourceEl.textContent = truncated;
+      if (variantSources.length > 1) sourceEl.title = text;
+      else if (src) sourceEl.title = src;
+      body.appendChild(document.createElement("br"));
+      body.appendChild(sourceEl);
+    }
+    const epgEl = document.createElement("span");
+    epgEl.className = "channel-item-epg";
+    epgEl.hidden = true;
+    body.appendChild(epgEl);
+    if (ch.logo) {
+      const img = document.createElement("img");
+      img.className = "channel-item-logo";
+      img.src = ch.logo;
+      img.alt = "";
+      img.loading = "lazy";
+      li.appendChild(img);
+    }
+    li.appendChild(body);
+    const favBtn = document.createElement("button");
+    favBtn.type = "button";
+    favBtn.className = "channel-item-fav";
+    favBtn.setAttribute("aria-label", "Add to favorites");
+    favBtn.innerHTML = "★";
+    favBtn.title = "Add to favorites";
+    const isoUpper = (ch.iso || "").toUpperCase();
+    const chId = channelId(ch);
+    function updateFavBtn() {
+      const inFav = isChannelInFavorites(isoUpper, chId);
+      favBtn.classList.toggle("is-favorite", inFav);
+      favBtn.setAttribute("aria-label", inFav ? "Remove from favorites" : "Add to favorites");
+      favBtn.title = inFav ? "Remove from favorites" : "Add to favorites";
+    }
+    updateFavBtn();
+    favBtn.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (isChannelInFavorites(isoUpper, chId)) removeChannelFromFavorites(isoUpper, chId);
+      else addChannelToFavorites(ch);
+      updateFavBtn();
+    });
+    li.appendChild(favBtn);
+
+    li.addEventListener("click", (e) => {
+      if (e.target.closest(".channel-item-fav")) return;
+      activateChannel(ch);
+    });
+    li.addEventListener("keydown", (e) => {
+      if (e.target.closest(".channel-item-fav")) return;
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        activateChannel(ch);
+      }
+    });
+    listEl.appendChild(li);
+  }
+  refreshFavoriteStarsInList();
+
+  buildChannelFilterToggles("filter-type", Array.from(typeSet), "type");
+  buildChannelFilterToggles("filter-source", Array.from(sourceSet).sort(), "source");
+  CHANNEL_META_FILTERS.forEach((filter, i) => {
+    const options = Array.from(metaOptions[i], ([value, label]) => ({ value, label }));
+    const rank = (o) => (filter.order ? filter.order.indexOf(o.label) : 0);
+    options.sort((a, b) => rank(a) - rank(b) || a.label.localeCompare(b.label));
+    buildChannelMultiFilterToggles(filter.containerId, options, filter.label);
+  });
+  buildRegionFilter();
+  const filtersEl = document.getElementById("channel-filters");
+  if (filtersEl) filtersEl.hidden = false;
+  checkChannelListHealth(listEl);
+  applyChannelFilters();
+  updateCountryTime();
+  updateRegionLayer();
+  updateChannelListEpg();
+  updateChannelListNewBadges();
+  if (isEpgGuideOpen()) renderEpgGuide();
+}
+
+/** Bumped by every list load, so files still arriving for a previous country or category are dropped. */
+let channelListLoadId = 0;
+
+/**
+ * Fetch channel files in parallel and render the list as each one arrives: merged in the given order, deduped
+ * by url, alternate streams grouped (groupChannelVariants), sorted by CHANNEL_TYPE_ORDER. Filters picked
+ * while files are still loading stay applied. onChannelsLoaded(channels) runs once all files are in.
+ */
+async function loadChannelFiles(paths, onChannelsLoaded) {
+  const loadingEl = document.getElementById("channels-loading");
+  const emptyEl = document.getElementById("channels-empty");
+  const listEl = document.getElementById("channel-list");
+  const loadId = ++channelListLoadId;
+  const lists = paths.map(() => null);
+  let channels = [];
+
+  function render() {
+    const merged = [];
+    const seenUrls = new Set();
+    lists.forEach((list) => {
+      (list || []).forEach((ch) => {
+        const url = ch.url && ch.url.trim();
+        if (url && seenUrls.has(url)) return;
+        if (url) seenUrls.add(url);
+        merged.push(ch);
+      });
+    });
+    const typeRank = (ch) => {
+      const i = CHANNEL_TYPE_ORDER.indexOf(String(ch.type || "tv").toLowerCase().trim());
+      return i === -1 ? CHANNEL_TYPE_ORDER.length : i;
+    };
+    channels = groupChannelVariants(merged)
+      .filter((ch) => !isChannelGroupInTrash(ch))
+      .sort((a, b) => typeRank(a) - typeRank(b));
+    if (channels.length === 0) return;
+    const filters = listEl.hidden ? null : getChannelFilterState();
+    listEl.innerHTML = "";
+    renderChannelList(listEl, channels);
+    if (filters) setChannelFilterState(filters);
+    listEl.hidden = false;
+  }
+
+  await Promise.all(paths.map(async (path, i) => {
+    try {
+      const res = await fetch(path);
+      if (!res.ok) return;
+      const data = await res.json();
+      if (loadId !== channelListLoadId) return;
+      lists[i] = data.channels || [];
+      render();
+    } catch (_) {}
+  }));
+  if (loadId !== channelListLoadId) return;
+  loadingEl.hidden = true;
+  if (channels.length === 0) {
+    emptyEl.hidden = false;
+    return;
+  }
+  if (typeof onChannelsLoaded === "function") onChannelsLoaded(channels);
+}
+
+/** Load and display channels for a country: the data/channels/<code>/<sourcename>.json files the manifest lists for each code (getChannelLoadCodes). Optional onChannelsLoaded(channels) when list is ready. */
+async function loadChannelsForCountry(countryCode, onChannelsLoaded) {
+  const loadingEl = document.getElementById("channels-loading");
+  const emptyEl = document.getElementById("channels-empty");
+  const listEl = document.getElementById("channel-list");
+  if (!loadingEl || !emptyEl || !listEl) return;
+
+  const loadId = ++channelListLoadId;
+  loadingEl.hidden = false;
+  emptyEl.hidden = true;
+  listEl.hidden = true;
+  listEl.innerHTML = "";
+  emptyEl.textContent = "No channels for this country.";
+
+  const manifest = await loadChannelManifest();
+  if (loadId !== channelListLoadId) return;
+  const paths = getChannelLoadCodes(countryCode).flatMap((code) => getCountryChannelFiles(manifest, code));
+  const debugEl = document.getElementById("channels-debug-paths");
+  if (debugEl) {
+    //debugEl.textContent = paths.length ? "Files:\n" + paths.join("\n") : "";
+    debugEl.textContent = '';
+    debugEl.hidden = paths.length === 0;
+  }
+  await loadChannelFiles(paths, onChannelsLoaded);
+}
+
+/** Load and display channels for a category: the data/cat_channels/<category>/<sourcename>.json files the manifest lists. */
+async function loadChannelsForCategory(categoryName, onChannelsLoaded) {
+  const loadingEl = document.getElementById("channels-loading");
+  const emptyEl = document.getElementById("channels-empty");
+  const listEl = document.getElementById("channel-list");
+  const selectedCountryEl = document.getElementById("selected-country");
+  const countryNameEl = document.getElementById("country-name");
+  const countryCodeEl = document.getElementById("country-code");
+  const countryFlagEl = document.getElementById("country-flag");
+  if (!loadingEl || !emptyEl || !listEl || !selectedCountryEl || !countryNameEl || !countryCodeEl) return;
+
+  document.querySelectorAll(".country.selected").forEach((c) => c.classList.remove("selected"));
+  updateCountryTime();
+  selectedCountryEl.hidden = false;
+  countryNameEl.textContent = categoryName;
+  countryCodeEl.textContent = "Category";
+  if (countryFlagEl) countryFlagEl.hidden = true;
+  setUrlState({ category: categoryName });
+  setViewModeButtons("categories");
+
+  const loadId = ++channelListLoadId;
+  loadingEl.hidden = false;
+  emptyEl.hidden = true;
+  listEl.hidden = true;
+  listEl.innerHTML = "";
+  const debugEl = document.getElementById("channels-debug-paths");
+  if (debugEl) debugEl.hidden = true;
+  emptyEl.textContent = "No channels for this category.";
+
+  const manifest = await loadChannelManifest();
+  if (loadId !== channelListLoadId) return;
+  await loadChannelFiles(getCategoryChannelFiles(manifest, categoryName), onChannelsLoaded);
+}
+
+function easeInOut(t) {
+  return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+/**
+ * Pan & zoom state and apply transform to #map-pan-zoom.
+ * Zoom toward cursor; supports wheel, pinch, and external setScale (e.g. zoom slider).
+ * Returns { setScale(scale), getScale(), zoomToMapPoint(x, y, scale), getViewBox(), animateToBox(box) }; calls
+ * opts.onScaleChange(scale) when scale changes and opts.onViewChange() after every pan or zoom.
+ * While opts.rotation.isActive() (globe), drags call rotation.move(dx, dy) instead of panning, release calls
+ * rotation.end(vx, vy) with the drag velocity in px/ms, and zoom stays centered on the viewport.
+ */
+function initPanZoom(opts = {}) {
+  const viewport = document.getElementById("map-container");
+  const panZoom = document.getElementById("map-pan-zoom");
+  if (!viewport || !panZoom) return null;
+
+  const onScaleChange = opts.onScaleChange || (() => {});
+  const onViewChange = opts.onViewChange || (() => {});
+  const rotation = opts.rotation || null;
+  let scale = 1;
+  let tx = 0;
+  let ty = 0;
+  let lastNotifiedScale = null;
+  let pointerDown = false;
+  let startX = 0;
+  let startY = 0;
+  let startTx = 0;
+  let startTy = 0;
+  let pinchStartDistance = 0;
+  let pinchStartScale = 1;
+  let pinchStartTx = 0;
+  let pinchStartTy = 0;
+  let pinchCenterX = 0;
+  let pinchCenterY = 0;
+  let lastMoveX = 0;
+  let lastMoveY = 0;
+  let lastMoveTime = 0;
+  let velocityX = 0;
+  let velocityY = 0;
+  let animationFrame = 0;
+  let animationDone = null;
+
+  function isRotating() {
+    return Boolean(rotation && rotation.isActive());
+  }
+
+  function applyTransform() {
+    panZoom.style.transform = `translate(${tx}px, ${ty}px) scale(${scale})`;
+    if (lastNotifiedScale !== scale) {
+      lastNotifiedScale = scale;
+      onScaleChange(scale);
+    }
+    onViewChange();
+  }
+
+  function viewportPoint(e) {
+    const r = viewport.getBoundingClientRect();
+    const x = (e.touches ? e.touches[0].clientX : e.clientX) - r.left;
+    const y = (e.touches ? e.touches[0].clientY : e.clientY) - r.top;
+    return { x, y };
+  }
+
+  function centerMap() {
+    const r = viewport.getBoundingClientRect();
+    tx = (r.width - DISPLAY_WIDTH) / 2;
+    ty = (r.height - DISPLAY_HEIGHT) / 2;
+    scale = 1;
+    applyTransform();
+  }
+
+  /** Re-center pan (tx, ty) to keep the map centered in the viewport without resetting zoom. */
+  function recenterPanOnly() {
+    const r = viewport.getBoundingClientRect();
+    tx = (r.width - DISPLAY_WIDTH * scale) / 2;
+    ty = (r.height - DISPLAY_HEIGHT * scale) / 2;
+    applyTransform();
+  }
+
+  function zoomAt(viewportX, viewportY, newScale) {
+    newScale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, newScale));
+    const sRatio = newScale / scale;
+    tx = viewportX - (viewportX - tx) * sRatio;
+    ty = viewportY - (viewportY - ty) * sRatio;
+    scale = newScale;
+    applyTransform();
+  }
+
+  /** Set zoom from slider: zoom toward viewport center so the map doesn’t jump. */
+  function setScale(newScale) {
+    stopAnimation();
+    newScale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, newScale));
+    const r = viewport.getBoundingClientRect();
+    const centerX = r.width / 2;
+    const centerY = r.height / 2;
+    const sRatio = newScale / scale;
+    tx = centerX - (centerX - tx) * sRatio;
+    ty = centerY - (centerY - ty) * sRatio;
+    scale = newScale;
+    applyTransform();
+  }
+
+  function getScale() {
+    return scale;
+  }
+
+  function stopAnimation() {
+    if (animationFrame) cancelAnimationFrame(animationFrame);
+    animationFrame = 0;
+    if (animationDone) {
+      const done = animationDone;
+      animationDone = null;
+      done();
+    }
+  }
+
+  /** Animate pan and zoom until box { x0, y0, x1, y1 } (VIEW units) fills most of the viewport; resolves when done or interrupted. */
+  function animateToBox(box, duration = 600) {
+    stopAnimation();
+    const r = viewport.getBoundingClientRect();
+    const unit = DISPLAY_WIDTH / VIEW_WIDTH;
+    const w = Math.max(box.x1 - box.x0, 1) * unit;
+    const h = Math.max(box.y1 - box.y0, 1) * unit;
+    const toScale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, Math.min((r.width * 0.8) / w, (r.height * 0.8) / h)));
+    const toTx = r.width / 2 - ((box.x0 + box.x1) / 2) * unit * toScale;
+    const toTy = r.height / 2 - ((box.y0 + box.y1) / 2) * unit * toScale;
+    const from = { tx, ty, scale };
+    const start = performance.now();
+    return new Promise((resolve) => {
+      animationDone = resolve;
+      const step = (now) => {
+        const t = Math.min(1, (now - start) / duration);
+        const eased = easeInOut(t);
+        scale = from.scale + (toScale - from.scale) * eased;
+        tx = from.tx + (toTx - from.tx) * eased;
+        ty = from.ty + (toTy - from.ty) * eased;
+        applyTransform();
+        if (t < 1) {
+          animationFrame = requestAnimationFrame(step);
+          return;
+        }
+        animationFrame = 0;
+        animationDone = null;
+        resolve();
+      };
+      animationFrame = requestAnimationFrame(step);
+    });
+  }
+
+  /** Visible part of the map in VIEW units { x0, y0, x1, y1 }. */
+  function getViewBox() {
+    const r = viewport.getBoundingClientRect();
+    const px = (DISPLAY_WIDTH / VIEW_WIDTH) * scale;
+    return { x0: -tx / px, y0: -ty / px, x1: (r.width - tx) / px, y1: (r.height - ty) / px };
+  }
+
+  /** Zoom to newScale with map point (x, y) in VIEW units at the viewport center. */
+  function zoomToMapPoint(x, y, newScale) {
+    scale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, newScale));
+    const r = viewport.getBoundingClientRect();
+    const px = (DISPLAY_WIDTH / VIEW_WIDTH) * scale;
+    tx = r.width / 2 - x * px;
+    ty = r.height / 2 - y * px;
+    applyTransform();
+  }
+
+  centerMap();
+
+  // —— Wheel zoom (zoom toward cursor) ——
+  viewport.addEventListener("wheel", (e) => {
+    e.preventDefault();
+    stopAnimation();
+    const r = viewport.getBoundingClientRect();
+    const x = e.clientX - r.left;
+    const y = e.clientY - r.top;
+    const delta = -e.deltaY * ZOOM_SENSITIVITY;
+    if (isRotating()) setScale(scale * (1 + delta));
+    else zoomAt(x, y, scale * (1 + delta));
+  }, { passive: false });
+
+  // —— Pointer pan (mouse + touch), including when starting on a country ——
+  viewport.addEventListener("pointerdown", (e) => {
+    stopAnimation();
+    pointerDown = true;
+    pointerMovedDuringPan = false;
+    const p = viewportPoint(e);
+    startX = p.x;
+    startY = p.y;
+    startTx = tx;
+    startTy = ty;
+    lastMoveX = p.x;
+    lastMoveY = p.y;
+    lastMoveTime = performance.now();
+    velocityX = 0;
+    velocityY = 0;
+    if (isRotating()) rotation.start();
+    e.target.setPointerCapture?.(e.pointerId);
+  });
+
+  viewport.addEventListener("pointermove", (e) => {
+    if (!pointerDown) return;
+    const p = viewportPoint(e);
+    const dx = p.x - startX;
+    const dy = p.y - startY;
+    if (Math.abs(dx) > PAN_CLICK_THRESHOLD || Math.abs(dy) > PAN_CLICK_THRESHOLD) {
+      pointerMovedDuringPan = true;
+    }
+    if (isRotating()) {
+      const now = performance.now();
+      const dt = Math.max(1, now - lastMoveTime);
+      velocityX = 0.8 * ((p.x - lastMoveX) / dt) + 0.2 * velocityX;
+      velocityY = 0.8 * ((p.y - lastMoveY) / dt) + 0.2 * velocityY;
+      rotation.move(p.x - lastMoveX, p.y - lastMoveY);
+      lastMoveX = p.x;
+      lastMoveY = p.y;
+      lastMoveTime = now;
+      return;
+    }
+    tx = startTx + dx;
+    ty = startTy + dy;
+    applyTransform();
+  });
+
+  viewport.addEventListener("pointerup", (e) => {
+    if (e.target.hasPointerCapture?.(e.pointerId)) e.target.releasePointerCapture?.(e.pointerId);
+    // Fling only if the pointer was still moving when released
+    if (pointerDown && isRotating() && pointerMovedDuringPan && performance.now() - lastMoveTime < 80) {
+      rotation.end(velocityX, velocityY);
+    }
+    pointerDown = false;
+  });
+
+  viewport.addEventListener("pointercancel", () => {
+    pointerDown = false;
+  });
+
+  // —— Pinch zoom (two fingers) ——
+  function distance(touches) {
+    const a = touches[0];
+    const b = touches[1];
+    return Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY);
+  }
+  function center(touches, viewportRect) {
+    return {
+      x: ((touches[0].clientX + touches[1].clientX) / 2) - viewportRect.left,
+      y: ((touches[0].clientY + touches[1].clientY) / 2) - viewportRect.top,
+    };
+  }
+
+  viewport.addEventListener("touchstart", (e) => {
+    if (e.touches.length === 2) {
+      e.preventDefault();
+      const r = viewport.getBoundingClientRect();
+      pinchStartDistance = distance(e.touches);
+      pinchStartScale = scale;
+      pinchStartTx = tx;
+      pinchStartTy = ty;
+      const c = center(e.touches, r);
+      pinchCenterX = c.x;
+      pinchCenterY = c.y;
+    }
+  }, { passive: false });
+
+  viewport.addEventListener("touchmove", (e) => {
+    if (e.touches.length === 2) {
+      e.preventDefault();
+      pointerMovedDuringPan = true;
+      const r = viewport.getBoundingClientRect();
+      const d = distance(e.touches);
+      const c = center(e.touches, r);
+      const ratio = d / pinchStartDistance;
+      const newScale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, pinchStartScale * ratio));
+      if (isRotating()) {
+        setScale(newScale);
+        pinchStartScale = newScale;
+        pinchStartDistance = d;
+        return;
+      }
+      // Keep the content point under the pinch center fixed under the new center
+      tx = c.x - (pinchCenterX - pinchStartTx) * (newScale / pinchStartScale);
+      ty = c.y - (pinchCenterY - pinchStartTy) * (newScale / pinchStartScale);
+      pinchCenterX = c.x;
+      pinchCenterY = c.y;
+      pinchStartTx = tx;
+      pinchStartTy = ty;
+      pinchStartScale = newScale;
+      pinchStartDistance = d;
+      scale = newScale;
+      applyTransform();
+    }
+  }, { passive: false });
+
+  // On resize: keep current zoom, only re-center pan so the map doesn’t jump. The first notification reports
+  // the size centerMap already used; skipping it keeps a view restored from the URL in place.
+  let sizeObserved = false;
+  const ro = new ResizeObserver(() => {
+    if (sizeObserved) recenterPanOnly();
+    sizeObserved = true;
+  });
+  ro.observe(viewport);
+
+  return { setScale, getScale, zoomToMapPoint, getViewBox, animateToBox };
+}
+
+// —— Projection (localStorage + ?projection=globe): flat map or orthographic globe with drag-to-rotate ——
+const PROJECTION_STORAGE_KEY = "worldmedia-map-projection";
+const MAP_PROJECTIONS = ["flat", "globe"];
+/** Fling: velocity is multiplied by this every 16 ms and stops below GLOBE_INERTIA_MIN (px/ms). */
+const GLOBE_INERTIA_DECAY = 0.94;
+const GLOBE_INERTIA_MIN = 0.01;
+
+/** Country path -> GeoJSON geometry currently drawn (world or a detail tile), so paths can be re-projected in place. */
+const countryGeometries = new WeakMap();
+let globeRedrawFrame = 0;
+let globeMotionFrame = 0;
+/** Resolves the promise of a running animateGlobeTo (also when it is interrupted). */
+let globeMotionDone = null;
+
+/** ?projection= wins over the saved choice so shared links open in the same view. */
+function getMapProjection() {
+  const fromUrl = new URLSearchParams(window.location.search).get("projection");
+  if (MAP_PROJECTIONS.includes(fromUrl)) return fromUrl;
+  try {
+    const saved = localStorage.getItem(PROJECTION_STORAGE_KEY);
+    return MAP_PROJECTIONS.includes(saved) ? saved : "flat";
+  } catch {
+    return "flat";
+  }
+}
+
+function setMapProjection(projection) {
+  const value = MAP_PROJECTIONS.includes(projection) ? projection : "flat";
+  try {
+    localStorage.setItem(PROJECTION_STORAGE_KEY, value);
+  } catch (_) {}
+  const params = new URLSearchParams(window.location.search);
+  if (value === "globe") params.set("projection", value);
+  else params.delete("projection");
+  updateUrlParams(params);
+  applyMapProjection();
+}
+
+function wrapLng(lng) {
+  return ((((lng + 180) % 360) + 360) % 360) - 180;
+}
+
+/** Center of a geometry's largest polygon as [lng, lat] (mean of unit vectors, so rings across ±180° work). */
+function geometryCenter(geometry) {
+  const polygons = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates || [];
+  const ring = polygons.map((polygon) => polygon[0] || []).reduce((a, b) => (b.length > a.length ? b : a), []);
+  const rad = Math.PI / 180;
+  let x = 0;
+  let y = 0;
+  let z = 0;
+  ring.forEach(([lng, lat]) => {
+    x += Math.cos(lat * rad) * Math.cos(lng * rad);
+    y += Math.cos(lat * rad) * Math.sin(lng * rad);
+    z += Math.sin(lat * rad);
+  });
+  return [Math.atan2(y, x) / rad, Math.atan2(z, Math.hypot(x, y)) / rad];
+}
+
+/** 30° graticule as visible line segments on the globe (same spacing as the flat map's #graticule pattern). */
+function globeGraticulePath() {
+  const lines = [];
+  for (let lng = -180; lng < 180; lng += 30) {
+    const line = [];
+    for (let lat = -90; lat <= 90; lat += 3) line.push([lng, lat]);
+    lines.push(line);
+  }
+  for (let lat = -60; lat <= 60; lat += 30) {
+    const line = [];
+    for (let lng = -180; lng <= 180; lng += 3) line.push([lng, lat]);
+    lines.push(line);
+  }
+  let d = "";
+  lines.forEach((line) => {
+    let penDown = false;
+    line.forEach(([lng, lat]) => {
+      const [x, y, visible] = projectPoint(lng, lat);
+      if (!visible) {
+        penDown = false;
+        return;
+      }
+      d += `${penDown ? " L" : " M"} ${x} ${y}`;
+      penDown = true;
+    });
+  });
+  return d.trim();
+}
+
+/** Re-project every country path, the graticule and the webcam pins with the active projection. */
+function redrawMapGeometry() {
+  document.querySelectorAll("#countries .country").forEach(drawCountryPath);
+  document.querySelectorAll("#regions .region").forEach((el) => {
+    const geom = regionGeometries.get(el);
+    if (geom) el.setAttribute("d", geometryToPath(geom));
+  });
+  const graticule = document.getElementById("globe-graticule");
+  if (graticule) graticule.setAttribute("d", mapProjection === "globe" ? globeGraticulePath() : "");
+  renderNightOverlay();
+  renderWebcamPins();
+  scheduleMapDetailUpdate();
+  scheduleMapViewUrlUpdate();
+}
+
+/** Drags and flings update the rotation continuously; redraw at most once per frame. */
+function scheduleGlobeRedraw() {
+  if (globeRedrawFrame) return;
+  globeRedrawFrame = requestAnimationFrame(() => {
+    globeRedrawFrame = 0;
+    redrawMapGeometry();
+  });
+}
+
+function stopGlobeMotion() {
+  if (globeMotionFrame) cancelAnimationFrame(globeMotionFrame);
+  globeMotionFrame = 0;
+  if (globeMotionDone) {
+    const done = globeMotionDone;
+    globeMotionDone = null;
+    done();
+  }
+}
+
+/** Rotate by a drag of (dx, dy) screen px: the point under the pointer follows it, slower when zoomed in. */
+function rotateGlobeBy(dx, dy) {
+  const scale = mapPanZoomApi ? mapPanZoomApi.getScale() : 1;
+  const degPerPx = 180 / (Math.PI * GLOBE_RADIUS * (DISPLAY_WIDTH / VIEW_WIDTH) * scale);
+  globeRotation.lng = wrapLng(globeRotation.lng - dx * degPerPx);
+  globeRotation.lat = Math.max(-90, Math.min(90, globeRotation.lat + dy * degPerPx));
+  scheduleGlobeRedraw();
+}
+
+/** Keep spinning after release with the drag velocity (px/ms), slowing down each frame. */
+function startGlobeInertia(vx, vy) {
+  stopGlobeMotion();
+  let last = performance.now();
+  const step = (now) => {
+    const dt = now - last;
+    last = now;
+    rotateGlobeBy(vx * dt, vy * dt);
+    const decay = Math.pow(GLOBE_INERTIA_DECAY, dt / 16);
+    vx *= decay;
+    vy *= decay;
+    globeMotionFrame = Math.hypot(vx, vy) > GLOBE_INERTIA_MIN ? requestAnimationFrame(step) : 0;
+  };
+  globeMotionFrame = requestAnimationFrame(step);
+}
+
+/** Turn the globe so (lng, lat) faces the viewer, taking the short way round. Resolves when it stops. */
+function animateGlobeTo(lng, lat, duration = 700) {
+  stopGlobeMotion();
+  const from = { lng: globeRotation.lng, lat: globeRotation.lat };
+  const dLng = wrapLng(lng - from.lng);
+  const start = performance.now();
+  return new Promise((resolve) => {
+    globeMotionDone = resolve;
+    const step = (now) => {
+      const t = Math.min(1, (now - start) / duration);
+      const eased = easeInOut(t);
+      globeRotation.lng = wrapLng(from.lng + dLng * eased);
+      globeRotation.lat = from.lat + (lat - from.lat) * eased;
+      redrawMapGeometry();
+      if (t < 1) {
+        globeMotionFrame = requestAnimationFrame(step);
+        return;
+      }
+      globeMotionFrame = 0;
+      globeMotionDone = null;
+      resolve();
+    };
+    globeMotionFrame = requestAnimationFrame(step);
+  });
+}
+
+/** On the globe, bring a country path to the front (URL selection, keyboard focus on a hidden country). */
+function rotateGlobeToCountry(pathEl) {
+  if (mapProjection !== "globe") return;
+  const geom = countryGeometries.get(pathEl);
+  if (!geom) return;
+  const [lng, lat] = geometryCenter(geom);
+  animateGlobeTo(lng, lat);
+}
+
+function applyMapProjection() {
+  stopGlobeMotion();
+  mapProjection = getMapProjection();
+  const svg = document.getElementById("map");
+  if (svg) svg.classList.toggle("map-svg--globe", mapProjection === "globe");
+  const select = document.getElementById("map-projection");
+  if (select) select.value = mapProjection;
+  redrawMapGeometry();
+  if (mapPanZoomApi) mapPanZoomApi.zoomToMapPoint(VIEW_WIDTH / 2, VIEW_HEIGHT / 2, 1);
+}
+
+// —— Map view in the URL (?zoom=&lat=&lng=, see getUrlState): written after panning/zooming/rotating settles ——
+const MAP_VIEW_URL_DELAY_MS = 400;
+let mapViewUrlTimer = 0;
+
+/** { zoom, lat, lng } of the current view: center of the visible map, or the point facing the viewer on the globe. */
+function getMapView() {
+  if (!mapPanZoomApi) return null;
+  const zoom = mapPanZoomApi.getScale();
+  if (mapProjection === "globe") return { zoom, lat: globeRotation.lat, lng: globeRotation.lng };
+  const box = mapPanZoomApi.getViewBox();
+  const x = (box.x0 + box.x1) / 2;
+  const y = (box.y0 + box.y1) / 2;
+  return { zoom, lat: 90 - (y / VIEW_HEIGHT) * 180, lng: (x / VIEW_WIDTH) * 360 - 180 };
+}
+
+function applyMapView(view) {
+  if (!mapPanZoomApi || !view) return;
+  if (mapProjection === "globe") {
+    stopGlobeMotion();
+    globeRotation.lng = wrapLng(view.lng);
+    globeRotation.lat = Math.max(-90, Math.min(90, view.lat));
+    redrawMapGeometry();
+    mapPanZoomApi.setScale(view.zoom);
+    return;
+  }
+  const [x, y] = project(view.lng, view.lat);
+  mapPanZoomApi.zoomToMapPoint(x, y, view.zoom);
+}
+
+/** The untouched map (zoom 1, initial globe rotation) keeps a clean URL without view params. */
+function scheduleMapViewUrlUpdate() {
+  clearTimeout(mapViewUrlTimer);
+  mapViewUrlTimer = setTimeout(() => {
+    const view = getMapView();
+    if (!view) return;
+    const params = new URLSearchParams(window.location.search);
+    const initial = Math.abs(view.zoom - 1) < 0.01
+      && (mapProjection !== "globe" || (view.lat === GLOBE_INITIAL_ROTATION.lat && view.lng === GLOBE_INITIAL_ROTATION.lng));
+    if (initial) ["zoom", "lat", "lng"].forEach((key) => params.delete(key));
+    else {
+      params.set("zoom", view.zoom.toFixed(2));
+      params.set("lat", view.lat.toFixed(2));
+      params.set("lng", view.lng.toFixed(2));
+    }
+    updateUrlParams(params);
+  }, MAP_VIEW_URL_DELAY_MS);
+}
+
+/** Called before the first render so countries are drawn in the restored projection. */
+function initMapProjection() {
+  const select = document.getElementById("map-projection");
+  if (select) select.addEventListener("change", () => setMapProjection(select.value));
+  applyMapProjection();
+}
+
+// —— Map detail: zoom-dependent geometry, viewport culling (tiles from data/map/, see MAP_DETAIL_LEVELS) ——
+/** Country path -> geometry from world.geojson, restored when zooming out or leaving the viewport. */
+const countryBaseGeometries = new WeakMap();
+/** Country path -> drawn bounds in VIEW units (null when the globe hides it). */
+const countryBounds = new WeakMap();
+/** "level/TILE" -> Promise<geometry | null> */
+const mapTileCache = new Map();
+let mapDetailFrame = 0;
+
+/** Draw a country path from its current geometry with the active projection and remember its bounds. */
+function drawCountryPath(el) {
+  const geom = countryGeometries.get(el);
+  if (!geom) return;
+  const bounds = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
+  const d = geometryToPath(geom, bounds);
+  el.setAttribute("d", d);
+  el.classList.toggle("country--culled", !d);
+  countryBounds.set(el, d ? bounds : null);
+}
+
+function getDetailLevel(scale) {
+  let level = 0;
+  MAP_DETAIL_LEVELS.forEach((l) => {
+    if (scale >= l.minScale) level = l.level;
+  });
+  return level;
+}
+
+function loadMapTile(level, tile) {
+  const key = `${level}/${tile}`;
+  if (!mapTileCache.has(key)) {
+    const dir = MAP_DETAIL_LEVELS.find((l) => l.level === level)?.dir;
+    const promise = fetch(`${dir}/${encodeURIComponent(tile)}.json`)
+      .then((res) => (res.ok ? res.json() : null))
+      .catch(() => null);
+    mapTileCache.set(key, promise);
+  }
+  return mapTileCache.get(key);
+}
+
+/**
+ * Hide countries outside the viewport and give the visible ones the geometry level for the current zoom.
+ * Off-screen countries go back to world geometry so only what is on screen carries fine detail.
+ */
+function updateMapDetail() {
+  if (!mapPanZoomApi) return;
+  const view = mapPanZoomApi.getViewBox();
+  const level = getDetailLevel(mapPanZoomApi.getScale());
+  document.querySelectorAll("#countries .country").forEach((el) => {
+    const b = countryBounds.get(el);
+    const onScreen = Boolean(b) && b.x1 >= view.x0 && b.x0 <= view.x1 && b.y1 >= view.y0 && b.y0 <= view.y1;
+    el.classList.toggle("country--offscreen", !onScreen);
+    const tile = el.getAttribute("data-tile");
+    const wanted = onScreen && tile ? level : 0;
+    if (el.dataset.detail === String(wanted)) return;
+    el.dataset.detail = String(wanted);
+    if (wanted === 0) {
+      countryGeometries.set(el, countryBaseGeometries.get(el));
+      drawCountryPath(el);
+      return;
+    }
+    loadMapTile(wanted, tile).then((geom) => {
+      // Zoom or pan may have moved on while the tile was loading
+      if (!geom || !el.isConnected || el.dataset.detail !== String(wanted)) return;
+      countryGeometries.set(el, geom);
+      drawCountryPath(el);
+    });
+  });
+}
+
+/** Pan, zoom and globe rotation fire continuously; update detail at most once per frame. */
+function scheduleMapDetailUpdate() {
+  if (mapDetailFrame) return;
+  mapDetailFrame = requestAnimationFrame(() => {
+    mapDetailFrame = 0;
+    updateMapDetail();
+  });
+}
+
+// —— Webcam pins: geolocated webcams (lat/lng from windy/insecam) clustered by zoom level ——
+const WEBCAM_PINS_STORAGE_KEY = "worldmedia-map-webcams";
+/** Pins closer than this on screen merge into one cluster. */
+const PIN_CLUSTER_PX = 28;
+const PIN_RADIUS_PX = 5;
+
+let webcamPinsData = null;
+let webcamPinsFrame = 0;
+
+function isWebcamPinsEnabled() {
+  try {
+    return localStorage.getItem(WEBCAM_PINS_STORAGE_KEY) === "1";
+  } catch {
+    return false;
+  }
+}
+
+async function loadWebcamPins() {
+  if (webcamPinsData) return webcamPinsData;
+  const channels = await loadAllChannels();
+  webcamPinsData = channels
+    .filter((ch) => String(ch.type || "").toLowerCase() === "webcam" && Number.isFinite(ch.lat) && Number.isFinite(ch.lng))
+    .map((ch) => ({ ch }));
+  return webcamPinsData;
+}
+
+/**
+ * Group pins on a grid whose cell is PIN_CLUSTER_PX on screen at this scale. At MAX_SCALE nothing is
+ * merged; pins sharing a spot are fanned out on a small circle so each stays clickable.
+ */
+function clusterWebcamPins(pins, scale) {
+  const unitsPerPx = VIEW_WIDTH / (DISPLAY_WIDTH * scale);
+  if (scale >= MAX_SCALE) {
+    const bySpot = new Map();
+    pins.forEach((p) => {
+      const key = `${p.x.toFixed(2)},${p.y.toFixed(2)}`;
+      if (!bySpot.has(key)) bySpot.set(key, []);
+      bySpot.get(key).push(p);
+    });
+    const out = [];
+    bySpot.forEach((group) => {
+      const spread = group.length > 1 ? PIN_RADIUS_PX * 3 * unitsPerPx : 0;
+      group.forEach((p, i) => {
+        const a = (2 * Math.PI * i) / group.length;
+        out.push({ x: p.x + spread * Math.cos(a), y: p.y + spread * Math.sin(a), pins: [p] });
+      });
+    });
+    return out;
+  }
+  const cell = PIN_CLUSTER_PX * unitsPerPx;
+  const cells = new Map();
+  pins.forEach((p) => {
+    const key = `${Math.floor(p.x / cell)},${Math.floor(p.y / cell)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(p);
+  });
+  return Array.from(cells.values()).map((group) => ({
+    x: group.reduce((sum, p) => sum + p.x, 0) / group.length,
+    y: group.reduce((sum, p) => sum + p.y, 0) / group.length,
+    pins: group,
+  }));
+}
+
+function showPinTooltip(e, cluster) {
+  const tooltip = document.getElementById("map-tooltip");
+  if (!tooltip) return;
+  const first = cluster.pins[0].ch;
+  tooltip.innerHTML = cluster.pins.length === 1
+    ? `<strong class="map-tooltip-name">${escapeHtml(first.name || "Webcam")}</strong>${first.description ? `<span class="map-tooltip-count">${escapeHtml(first.description)}</span>` : ""}<span class="map-tooltip-hint">Click to watch</span>`
+    : `<strong class="map-tooltip-name">${cluster.pins.length} webcams</strong><span class="map-tooltip-hint">Click to zoom in</span>`;
+  tooltip.classList.add("map-tooltip--visible");
+  tooltip.setAttribute("aria-hidden", "false");
+  requestAnimationFrame(() => moveTooltip(e));
+}
+
+function renderWebcamPins() {
+  const layer = document.getElementById("webcam-pins");
+  if (!layer) return;
+  layer.innerHTML = "";
+  if (!isWebcamPinsEnabled() || !webcamPinsData) return;
+  const scale = mapPanZoomApi ? mapPanZoomApi.getScale() : 1;
+  const unitsPerPx = VIEW_WIDTH / (DISPLAY_WIDTH * scale);
+  const svgNs = "http://www.w3.org/2000/svg";
+  // Project on every render: the globe moves pins, and pins on its far side are skipped
+  const pins = [];
+  webcamPinsData.forEach(({ ch }) => {
+    const [x, y, visible] = projectPoint(ch.lng, ch.lat);
+    if (visible) pins.push({ ch, x, y });
+  });
+  clusterWebcamPins(pins, scale).forEach((cluster) => {
+    const count = cluster.pins.length;
+    const g = document.createElementNS(svgNs, "g");
+    g.setAttribute("class", count > 1 ? "webcam-pin webcam-pin--cluster" : "webcam-pin");
+    g.setAttribute("transform", `translate(${cluster.x} ${cluster.y})`);
+    g.setAttribute("tabindex", "0");
+    g.setAttribute("role", "button");
+    g.setAttribute("aria-label", count > 1 ? `${count} webcams, zoom in` : `Watch ${cluster.pins[0].ch.name || "webcam"}`);
+    const circle = document.createElementNS(svgNs, "circle");
+    circle.setAttribute("r", String((count > 1 ? PIN_RADIUS_PX + Math.min(8, Math.log2(count) * 2) : PIN_RADIUS_PX) * unitsPerPx));
+    g.appendChild(circle);
+    if (count > 1) {
+      const text = document.createElementNS(svgNs, "text");
+      text.setAttribute("font-size", String(10 * unitsPerPx));
+      text.setAttribute("dy", "0.35em");
+      text.textContent = count > 999 ? "999+" : String(count);
+      g.appendChild(text);
+    }
+    const activate = () => {
+      hideTooltip();
+      if (count === 1) openPlayerModal(cluster.pins[0].ch);
+      else if (mapPanZoomApi && mapProjection === "globe") {
+        const { lng, lat } = cluster.pins[0].ch;
+        animateGlobeTo(lng, lat);
+        mapPanZoomApi.setScale(Math.min(MAX_SCALE, scale * 2));
+      } else if (mapPanZoomApi) mapPanZoomApi.zoomToMapPoint(cluster.x, cluster.y, Math.min(MAX_SCALE, scale * 2));
+    };
+    g.addEventListener("click", () => {
+      if (!pointerMovedDuringPan) activate();
+    });
+    g.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        activate();
+      }
+    });
+    g.addEventListener("mouseenter", (e) => showPinTooltip(e, cluster));
+    g.addEventListener("mousemove", (e) => moveTooltip(e));
+    g.addEventListener("mouseleave", () => hideTooltip());
+    layer.appendChild(g);
+  });
+}
+
+/** Re-cluster at most once per frame (wheel and pinch change the scale continuously). */
+function scheduleWebcamPinsRender() {
+  if (webcamPinsFrame || !isWebcamPinsEnabled()) return;
+  webcamPinsFrame = requestAnimationFrame(() => {
+    webcamPinsFrame = 0;
+    renderWebcamPins();
+  });
+}
+
+function initWebcamPins() {
+  const toggle = document.getElementById("map-webcams");
+  if (!toggle) return;
+  const status = document.getElementById("map-webcams-count");
+  const update = () => {
+    if (!isWebcamPinsEnabled()) {
+      renderWebcamPins();
+      if (status) status.textContent = "";
+      return;
+    }
+    loadWebcamPins().then((pins) => {
+      if (status) status.textContent = String(pins.length);
+      renderWebcamPins();
+    });
+  };
+  toggle.checked = isWebcamPinsEnabled();
+  toggle.addEventListener("change", () => {
+    try {
+      localStorage.setItem(WEBCAM_PINS_STORAGE_KEY, toggle.checked ? "1" : "0");
+    } catch (_) {}
+    update();
+  });
+  update();
+}
+
+// —— Country search: autocomplete over map names, ISO codes and the metadata's native names and aliases ——
+const COUNTRY_SEARCH_MAX_RESULTS = 8;
+let countrySearchIndex = [];
+
+function normalizeSearchText(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/** One entry per rendered feature (index = data-index on its path). */
+function buildCountrySearchIndex(features) {
+  const entries = [];
+  features.forEach((feature, index) => {
+    const geom = feature.geometry;
+    if (!geom || (geom.type !== "Polygon" && geom.type !== "MultiPolygon")) return;
+    const p = feature.properties || {};
+    const name = p.NAME ?? p.ADMIN ?? `Country ${index + 1}`;
+    const { iso: iso3, iso2 } = getFeatureIso(p, name);
+    const meta = countryByIso2.get(iso2);
+    const names = [name, p.NAME_LONG, p.ADMIN];
+    const codes = [iso2, iso3, p.ADM0_A3];
+    if (meta) {
+      names.push(meta.name, meta.official, ...meta.native, ...meta.aliases);
+      codes.push(meta.numeric, ...meta.codes);
+    }
+    entries.push({
+      index,
+      name,
+      iso2,
+      iso3,
+      codes: codes.filter((c) => c && c !== "-99").map((c) => c.toLowerCase()),
+      terms: Array.from(new Set(names.filter(Boolean).map(normalizeSearchText))).filter(Boolean),
+    });
+  });
+  return entries;
+}
+
+/** Best matches first: exact code or name, then map name prefix, other name prefix, word prefix, substring. */
+function searchCountries(query) {
+  const q = normalizeSearchText(query);
+  if (!q) return [];
+  const scored = [];
+  countrySearchIndex.forEach((entry) => {
+    let score = entry.codes.includes(q) ? 0 : Infinity;
+    entry.terms.forEach((term, i) => {
+      if (term.startsWith(q)) score = Math.min(score, term === q ? 0 : i === 0 ? 1 : 1.5);
+      else if (term.split(" ").some((word) => word.startsWith(q))) score = Math.min(score, 2);
+      else if (q.length > 2 && term.includes(q)) score = Math.min(score, 3);
+    });
+    if (score !== Infinity) scored.push({ entry, score });
+  });
+  scored.sort((a, b) => a.score - b.score || a.entry.name.localeCompare(b.entry.name));
+  return scored.slice(0, COUNTRY_SEARCH_MAX_RESULTS).map((s) => s.entry);
+}
+
+/** Bounds to zoom to; countries split by the antimeridian (e.g. the US with the Aleutians) fit their largest part. */
+function countryFitBounds(el) {
+  const bounds = countryBounds.get(el);
+  const geom = countryGeometries.get(el);
+  if (!bounds || !geom || geom.type !== "MultiPolygon" || bounds.x1 - bounds.x0 <= VIEW_WIDTH / 2) return bounds;
+  let best = null;
+  let bestArea = -1;
+  geom.coordinates.forEach((polygon) => {
+    const b = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
+    if (!geometryToPath({ type: "Polygon", coordinates: polygon }, b)) return;
+    const area = (b.x1 - b.x0) * (b.y1 - b.y0);
+    if (area > bestArea) {
+      best = b;
+      bestArea = area;
+    }
+  });
+  return best || bounds;
+}
+
+/** Turn/zoom the map onto a search result, then select it like a click would. */
+async function goToCountry(entry) {
+  const el = document.querySelector(`#countries .country[data-index="${entry.index}"]`);
+  if (!el) return;
+  hideTooltip();
+  if (mapProjection === "globe") {
+    const [lng, lat] = geometryCenter(countryBaseGeometries.get(el));
+    await animateGlobeTo(lng, lat);
+  }
+  const bounds = countryFitBounds(el);
+  if (mapPanZoomApi && bounds) await mapPanZoomApi.animateToBox(bounds);
+  if (entry.iso2 && currentSelectByIso2) currentSelectByIso2(entry.iso2);
+}
+
+function initCountrySearch() {
+  const input = document.getElementById("map-search-input");
+  const listEl = document.getElementById("map-search-list");
+  if (!input || !listEl) return;
+  let results = [];
+  let active = -1;
+
+  function close() {
+    results = [];
+    active = -1;
+    listEl.hidden = true;
+    listEl.innerHTML = "";
+    input.setAttribute("aria-expanded", "false");
+    input.removeAttribute("aria-activedescendant");
+  }
+
+  function setActive(index) {
+    active = index;
+    Array.from(listEl.children).forEach((li, i) => {
+      li.classList.toggle("map-search-option--active", i === active);
+      li.setAttribute("aria-selected", i === active ? "true" : "false");
+    });
+    if (active >= 0) {
+      input.setAttribute("aria-activedescendant", `map-search-option-${active}`);
+      listEl.children[active].scrollIntoView({ block: "nearest" });
+    } else {
+      input.removeAttribute("aria-activedescendant");
+    }
+  }
+
+  function pick(entry) {
+    input.value = entry.name;
+    close();
+    input.blur();
+    goToCountry(entry);
+  }
+
+  function render() {
+    results = searchCountries(input.value);
+    listEl.innerHTML = "";
+    if (results.length === 0) {
+      close();
+      return;
+    }
+    results.forEach((entry, i) => {
+      const li = document.createElement("li");
+      li.id = `map-search-option-${i}`;
+      li.className = "map-search-option";
+      li.setAttribute("role", "option");
+      const flagUrl = getFlagUrl(entry.iso2);
+      li.innerHTML = (flagUrl ? `<img class="map-search-flag" src="${escapeHtml(flagUrl)}" alt="" width="20" height="15">` : `<span class="map-search-flag"></span>`)
+        + `<span class="map-search-name">${escapeHtml(entry.name)}</span>`
+        + `<span class="map-search-code">${escapeHtml(entry.iso2 || entry.iso3 || "")}</span>`;
+      // mousedown would blur the input (and close the list) before click
+      li.addEventListener("mousedown", (e) => e.preventDefault());
+      li.addEventListener("click", () => pick(entry));
+      listEl.appendChild(li);
+    });
+    listEl.hidden = false;
+    input.setAttribute("aria-expanded", "true");
+    setActive(0);
+  }
+
+  input.addEventListener("input", render);
+  input.addEventListener("focus", () => {
+    if (input.value.trim()) render();
+  });
+  input.addEventListener("blur", close);
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (listEl.hidden) {
+        render();
+        return;
+      }
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((active + step + results.length) % results.length);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      const entry = results[active] || searchCountries(input.value)[0];
+      if (entry) pick(entry);
+    } else if (e.key === "Escape") {
+      if (!listEl.hidden) close();
+      else input.value = "";
+    }
+  });
+}
+
+// —— Regions: admin-1 drill-down for large countries (data/map/regions/<ISO2>.geojson, channel "region" = ISO 3166-2) ——
+const REGION_COUNTRIES = ["US", "BR", "IN", "CN", "CA", "AU", "RU", "MX"];
+/** The region layer appears once the selected country is zoomed in this far. */
+const REGION_MIN_SCALE = 1.75;
+
+/** ISO2 -> Promise<features[]> (empty when the country has no bundled regions). */
+const regionFeaturesCache = new Map();
+/** ISO 3166-2 code -> region name, filled as region files load. */
+const regionNames = new Map();
+const regionGeometries = new WeakMap();
+
+function loadRegionFeatures(iso2) {
+  if (!regionFeaturesCache.has(iso2)) {
+    const promise = fetch(`data/map/regions/${encodeURIComponent(iso2)}.geojson`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((geojson) => {
+        const features = (geojson && geojson.features) || [];
+        features.forEach((f) => {
+          if (f.properties?.CODE) regionNames.set(f.properties.CODE, f.properties.NAME || f.properties.CODE);
+        });
+        return features;
+      })
+      .catch(() => []);
+    regionFeaturesCache.set(iso2, promise);
+  }
+  return regionFeaturesCache.get(iso2);
+}
+
+function getRegionName(code) {
+  return regionNames.get(code) || code;
+}
+
+function getSelectedRegion() {
+  const select = document.getElementById("filter-region");
+  return (select && select.value) || "";
+}
+
+/** Region code -> number of items in #channel-list (a grouped channel counts once per region). */
+function getRegionCounts() {
+  const counts = new Map();
+  document.querySelectorAll("#channel-list .channel-item").forEach((li) => {
+    (li.getAttribute("data-regions") || "").split("|").filter(Boolean).forEach((code) => {
+      counts.set(code, (counts.get(code) || 0) + 1);
+    });
+  });
+  return counts;
+}
+
+function getSelectedCountryPath() {
+  return document.querySelector("#countries .country.selected");
+}
+
+/** Rebuild the Region select for the current channel list ("All of <country>" first). */
+function buildRegionFilter() {
+  const group = document.getElementById("filter-region-group");
+  const select = document.getElementById("filter-region");
+  if (!group || !select) return;
+  const counts = getRegionCounts();
+  const countryEl = getSelectedCountryPath();
+  select.innerHTML = "";
+  const all = document.createElement("option");
+  all.value = "";
+  all.textContent = countryEl ? `All of ${countryEl.getAttribute("data-name")}` : "All regions";
+  select.appendChild(all);
+  Array.from(counts.entries())
+    .sort((a, b) => getRegionName(a[0]).localeCompare(getRegionName(b[0])))
+    .forEach(([code, n]) => {
+      const option = document.createElement("option");
+      option.value = code;
+      option.textContent = `${getRegionName(code)} (${n})`;
+      select.appendChild(option);
+    });
+  select.value = "";
+  group.hidden = counts.size === 0;
+  // Names come from the region file; relabel once it has loaded
+  const iso2 = countryEl?.getAttribute("data-iso2");
+  if (iso2 && counts.size > 0 && !regionFeaturesCache.has(iso2)) {
+    loadRegionFeatures(iso2).then((features) => {
+      if (features.length && getSelectedCountryPath() === countryEl) relabelRegionFilter();
+    });
+  }
+}
+
+function relabelRegionFilter() {
+  const select = document.getElementById("filter-region");
+  if (!select) return;
+  const counts = getRegionCounts();
+  Array.from(select.options).forEach((option) => {
+    if (option.value) option.textContent = `${getRegionName(option.value)} (${counts.get(option.value) || 0})`;
+  });
+}
+
+/** Narrow the list to one region ("" = all of the country) and mark it on the map. */
+function setSelectedRegion(code) {
+  const select = document.getElementById("filter-region");
+  if (!select) return;
+  select.value = Array.from(select.options).some((o) => o.value === code) ? code : "";
+  applyChannelFilters();
+  refreshRegionLayerState();
+}
+
+function refreshRegionLayerState() {
+  const selected = getSelectedRegion();
+  const counts = getRegionCounts();
+  document.querySelectorAll("#regions .region").forEach((el) => {
+    const code = el.getAttribute("data-code");
+    const n = counts.get(code) || 0;
+    el.classList.toggle("selected", code === selected);
+    el.classList.toggle("region--empty", n === 0);
+    el.setAttribute("data-density", `${n} channel${n === 1 ? "" : "s"}`);
+  });
+}
+
+/** Show the selected large country's regions when zoomed in; clear the layer otherwise. */
+async function updateRegionLayer() {
+  const layer = document.getElementById("regions");
+  if (!layer) return;
+  const countryEl = getSelectedCountryPath();
+  const iso2 = countryEl?.getAttribute("data-iso2") || "";
+  const scale = mapPanZoomApi ? mapPanZoomApi.getScale() : 1;
+  if (!REGION_COUNTRIES.includes(iso2) || scale < REGION_MIN_SCALE) {
+    layer.innerHTML = "";
+    layer.removeAttribute("data-iso2");
+    return;
+  }
+  if (layer.getAttribute("data-iso2") === iso2) {
+    refreshRegionLayerState();
+    return;
+  }
+  layer.setAttribute("data-iso2", iso2);
+  const features = await loadRegionFeatures(iso2);
+  // Selection or zoom may have changed while loading
+  if (layer.getAttribute("data-iso2") !== iso2) return;
+  layer.innerHTML = "";
+  const svgNs = "http://www.w3.org/2000/svg";
+  features.forEach((feature) => {
+    const code = feature.properties?.CODE;
+    if (!code || !feature.geometry) return;
+    const name = getRegionName(code);
+    const pathEl = document.createElementNS(svgNs, "path");
+    regionGeometries.set(pathEl, feature.geometry);
+    pathEl.setAttribute("d", geometryToPath(feature.geometry));
+    pathEl.setAttribute("class", "region");
+    pathEl.setAttribute("data-code", code);
+    pathEl.setAttribute("data-name", name);
+    pathEl.setAttribute("data-iso", code);
+    pathEl.setAttribute("tabindex", "0");
+    pathEl.setAttribute("role", "button");
+    pathEl.setAttribute("aria-label", `Show channels in ${name}`);
+    const toggle = () => setSelectedRegion(getSelectedRegion() === code ? "" : code);
+    pathEl.addEventListener("click", () => {
+      if (!pointerMovedDuringPan) toggle();
+    });
+    pathEl.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        toggle();
+      }
+    });
+    pathEl.addEventListener("mouseenter", (e) => showTooltip(e, pathEl));
+    pathEl.addEventListener("mousemove", (e) => moveTooltip(e));
+    pathEl.addEventListener("mouseleave", () => hideTooltip());
+    layer.appendChild(pathEl);
+  });
+  refreshRegionLayerState();
+  relabelRegionFilter();
+}
+
+function initRegionFilter() {
+  const select = document.getElementById("filter-region");
+  if (!select) return;
+  select.addEventListener("change", () => setSelectedRegion(select.value));
+}
+
+// —— Local time (data/timezones.json, built by scripts/build-timezones.sh) and day/night overlay (localStorage) ——
+const TIMEZONES_URL = "data/timezones.json";
+const NIGHT_OVERLAY_STORAGE_KEY = "worldmedia-map-night";
+const LOCAL_TIME_REFRESH_MS = 30 * 1000;
+/** Local hours counted as prime time: [start, end). */
+const PRIME_TIME_HOURS = [19, 23];
+
+/** ISO2 -> IANA zones, capital's zone first; null until loaded. */
+let countryTimezones = null;
+const timeFormatters = new Map();
+
+async function loadCountryTimezones() {
+  if (countryTimezones) return countryTimezones;
+  try {
+    const res = await fetch(TIMEZONES_URL);
+    countryTimezones = res.ok ? await res.json() : {};
+  } catch {
+    countryTimezones = {};
+  }
+  return countryTimezones;
+}
+
+/** Cached formatter for a zone; null when the browser does not know it. */
+function getTimeFormatter(zone) {
+  if (!timeFormatters.has(zone)) {
+    let formatter = null;
+    try {
+      formatter = new Intl.DateTimeFormat(undefined, { timeZone: zone, hour: "2-digit", minute: "2-digit", hourCycle: "h23" });
+    } catch (_) {}
+    timeFormatters.set(zone, formatter);
+  }
+  return timeFormatters.get(zone);
+}
+
+/** { text, hour, offset } for a zone at date; offset in minutes from UTC. */
+function getZoneTime(zone, date) {
+  const formatter = getTimeFormatter(zone);
+  if (!formatter) return null;
+  const parts = formatter.formatToParts(date);
+  const hour = Number(parts.find((p) => p.type === "hour")?.value) % 24;
+  const minute = Number(parts.find((p) => p.type === "minute")?.value);
+  let offset = hour * 60 + minute - (date.getUTCHours() * 60 + date.getUTCMinutes());
+  if (offset > 14 * 60) offset -= 24 * 60;
+  if (offset < -12 * 60) offset += 24 * 60;
+  return { text: formatter.format(date), hour, offset };
+}
+
+/**
+ * Local time in a country: the capital's zone, plus the earliest–latest clock when its zones differ.
+ * Returns { text, hour, range } or null (no table entry or timezones not loaded yet).
+ */
+function getCountryLocalTime(iso2, date = new Date()) {
+  const zones = (countryTimezones && iso2 && countryTimezones[iso2]) || [];
+  const times = zones.map((zone) => getZoneTime(zone, date)).filter(Boolean);
+  if (times.length === 0) return null;
+  const main = times[0];
+  const earliest = times.reduce((a, b) => (b.offset < a.offset ? b : a));
+  const latest = times.reduce((a, b) => (b.offset > a.offset ? b : a));
+  return { text: main.text, hour: main.hour, range: earliest.offset !== latest.offset ? `${earliest.text}–${latest.text}` : null };
+}
+
+function isPrimeTime(hour) {
+  return hour >= PRIME_TIME_HOURS[0] && hour < PRIME_TIME_HOURS[1];
+}
+
+/** Header line under the selected country's name; hidden for categories and countries without a zone. */
+function updateCountryTime() {
+  const el = document.getElementById("country-time");
+  if (!el) return;
+  const iso2 = document.querySelector("#countries .country.selected")?.getAttribute("data-iso2");
+  const local = getCountryLocalTime(iso2);
+  if (!local) {
+    el.hidden = true;
+    return;
+  }
+  el.innerHTML = `<span class="country-time-clock">${escapeHtml(local.text)}</span> local time`
+    + (local.range ? ` <span class="country-time-range">(${escapeHtml(local.range)} across the country)</span>` : "")
+    + (isPrimeTime(local.hour) ? ` <span class="country-time-prime">Prime time</span>` : "");
+  el.hidden = false;
+}
+
+function isNightOverlayEnabled() {
+  try {
+    return localStorage.getItem(NIGHT_OVERLAY_STORAGE_KEY) === "1";
+  } catch {
+    return false;
+  }
+}
+
+/** Point where the sun is overhead, { lat, lng } in degrees (low-precision solar ephemeris, good to ~0.1°). */
+function getSubsolarPoint(date) {
+  const rad = Math.PI / 180;
+  const days = date.getTime() / 86400000 - 10957.5; // since J2000.0 (2000-01-01 12:00 UTC)
+  const meanAnomaly = (357.529 + 0.98560028 * days) * rad;
+  const meanLongitude = 280.459 + 0.98564736 * days;
+  const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly)) * rad;
+  const obliquity = (23.439 - 0.00000036 * days) * rad;
+  const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude));
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+  const siderealHours = (18.697374558 + 24.06570982441908 * days) % 24;
+  return { lat: declination / rad, lng: wrapLng(rightAscension / rad - siderealHours * 15) };
+}
+
+/** Night side on the flat map: the terminator line, closed over the pole that is in darkness. */
+function flatNightPath(sun) {
+  const rad = Math.PI / 180;
+  const declination = Math.abs(sun.lat) < 0.1 ? (sun.lat < 0 ? -0.1 : 0.1) : sun.lat;
+  const points = [];
+  for (let lng = -180; lng <= 180; lng += 2) {
+    const lat = Math.atan(-Math.cos((lng - sun.lng) * rad) / Math.tan(declination * rad)) / rad;
+    points.push(project(lng, lat));
+  }
+  const poleY = declination > 0 ? VIEW_HEIGHT : 0;
+  points.push([VIEW_WIDTH, poleY], [0, poleY]);
+  return "M " + points.map(([x, y]) => `${Math.round(x * 100) / 100} ${Math.round(y * 100) / 100}`).join(" L ") + " Z";
+}
+
+/** Night side on the globe: the visible half of the terminator circle, closed along the rim on the dark side. */
+function globeNightPath(sun) {
+  const rad = Math.PI / 180;
+  const toSvg = ([x, y]) => `${Math.round((VIEW_WIDTH / 2 + x * GLOBE_RADIUS) * 100) / 100} ${Math.round((VIEW_HEIGHT / 2 - y * GLOBE_RADIUS) * 100) / 100}`;
+  // Sun direction in view space (x right, y up, z toward the viewer), same rotation as projectPoint
+  const dLng = (sun.lng - globeRotation.lng) * rad;
+  const phi = sun.lat * rad;
+  const phi0 = globeRotation.lat * rad;
+  const s = [
+    Math.cos(phi) * Math.sin(dLng),
+    Math.cos(phi0) * Math.sin(phi) - Math.sin(phi0) * Math.cos(phi) * Math.cos(dLng),
+    Math.sin(phi0) * Math.sin(phi) + Math.cos(phi0) * Math.cos(phi) * Math.cos(dLng),
+  ];
+  const sideLen = Math.hypot(s[0], s[1]);
+  if (sideLen < 1e-6) {
+    // Sun straight in front (all day) or straight behind (all night)
+    if (s[2] > 0) return "";
+    return `M ${toSvg([-1, 0])} A ${GLOBE_RADIUS} ${GLOBE_RADIUS} 0 1 0 ${toSvg([1, 0])} A ${GLOBE_RADIUS} ${GLOBE_RADIUS} 0 1 0 ${toSvg([-1, 0])} Z`;
+  }
+  // Terminator = great circle cos(t)·u + sin(t)·v with u, v ⟂ s; u lies in the screen plane
+  const u = [-s[1] / sideLen, s[0] / sideLen, 0];
+  const v = [s[1] * u[2] - s[2] * u[1], s[2] * u[0] - s[0] * u[2], s[0] * u[1] - s[1] * u[0]];
+  const circle = [];
+  for (let t = 0; t < 360; t += 2) {
+    const c = Math.cos(t * rad);
+    const sn = Math.sin(t * rad);
+    circle.push([c * u[0] + sn * v[0], c * u[1] + sn * v[1], c * u[2] + sn * v[2]]);
+  }
+  // Start right after a hidden point so the visible arc is one run
+  const firstHidden = circle.findIndex((p) => p[2] < 0);
+  const ordered = firstHidden < 0 ? circle : circle.slice(firstHidden).concat(circle.slice(0, firstHidden));
+  const arc = ordered.filter((p) => p[2] >= 0);
+  if (arc.length < 2) return "";
+  const start = arc[0];
+  const end = arc[arc.length - 1];
+  // Rim from the arc's end back to its start, passing the limb point opposite the sun
+  const a0 = Math.atan2(end[1], end[0]);
+  const a1 = Math.atan2(start[1], start[0]);
+  const dark = Math.atan2(-s[1], -s[0]);
+  const turn = (a) => ((a % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+  let sweep = turn(a1 - a0);
+  if (turn(dark - a0) > sweep) sweep -= 2 * Math.PI;
+  const rim = [];
+  for (let i = 1; i <= 36; i++) {
+    const a = a0 + (sweep * i) / 36;
+    rim.push([Math.cos(a), Math.sin(a)]);
+  }
+  return "M " + arc.concat(rim).map(toSvg).join(" L ") + " Z";
+}
+
+function renderNightOverlay() {
+  const overlay = document.getElementById("night-overlay");
+  if (!overlay) return;
+  if (!isNightOverlayEnabled()) {
+    overlay.setAttribute("d", "");
+    return;
+  }
+  const sun = getSubsolarPoint(new Date());
+  overlay.setAttribute("d", mapProjection === "globe" ? globeNightPath(sun) : flatNightPath(sun));
+}
+
+function initLocalTime() {
+  const toggle = document.getElementById("map-night");
+  if (toggle) {
+    toggle.checked = isNightOverlayEnabled();
+    toggle.addEventListener("change", () => {
+      try {
+        localStorage.setItem(NIGHT_OVERLAY_STORAGE_KEY, toggle.checked ? "1" : "0");
+      } catch (_) {}
+      renderNightOverlay();
+    });
+  }
+  loadCountryTimezones().then(updateCountryTime);
+  renderNightOverlay();
+  setInterval(() => {
+    updateCountryTime();
+    renderNightOverlay();
+  }, LOCAL_TIME_REFRESH_MS);
+}
+
+// —— Map style: flag fills or a channel-density choropleth (counts from data/channels.json) ——
+const MAP_STYLE_STORAGE_KEY = "worldmedia-map-style";
+const DENSITY_TYPE_LABELS = { tv: "TV", radio: "Radio", webcam: "Webcam", youtube: "YouTube" };
+/** Dark to light fills for increasing counts (log-scaled buckets). */
+const DENSITY_COLORS = ["#1e3a5f", "#1d4e89", "#0369a1", "#0284c7", "#0ea5e9", "#7dd3fc"];
+const DENSITY_EMPTY_FILL = "rgba(51, 65, 85, 0.35)";
+
+/**
+ * { byIso: { FR: { total, types: {tv: n}, sources: {name: n} } } } once channels.json is loaded, only for a density
+ * style. Sources are the import's source names (the "<source>:" prefix of channel ids, as in the manifest).
+ */
+let channelDensity = null;
+
+async function loadChannelDensity() {
+  if (channelDensity) return channelDensity;
+  const channels = await loadAllChannels();
+  const byIso = {};
+  const seen = new Set();
+  for (const ch of channels) {
+    const raw = (ch.iso || "").toUpperCase();
+    const iso = resolveCountryIso2(raw) || raw;
+    if (!iso || !ch.url || seen.has(iso + " " + ch.url)) continue;
+    seen.add(iso + " " + ch.url);
+    const type = String(ch.type || "tv").toLowerCase();
+    const source = String(ch.id || "").split(":")[0];
+    const entry = byIso[iso] || (byIso[iso] = { total: 0, types: {}, sources: {} });
+    entry.total++;
+    entry.types[type] = (entry.types[type] || 0) + 1;
+    if (source) entry.sources[source] = (entry.sources[source] || 0) + 1;
+  }
+  channelDensity = { byIso };
+  return channelDensity;
+}
+
+/** "flags", "plain" (themed land color), "density", "density:type:<type>" or "density:source:<source>" (e.g. iptv-org). */
+function getMapStyle() {
+  try {
+    return localStorage.getItem(MAP_STYLE_STORAGE_KEY) || "flags";
+  } catch {
+    return "flags";
+  }
+}
+
+function setMapStyle(style) {
+  try {
+    localStorage.setItem(MAP_STYLE_STORAGE_KEY, style);
+  } catch (_) {}
+  applyMapStyle();
+}
+
+/** Channel count for a country under a density style (0 when none). */
+function getDensityCount(iso2, style) {
+  const entry = channelDensity?.byIso[iso2];
+  if (!entry) return 0;
+  const [, kind, value] = style.split(":");
+  if (kind === "type") return entry.types[value] || 0;
+  if (kind === "source") return entry.sources[value] || 0;
+  return entry.total;
+}
+
+/** Noun for tooltip and legend: "TV channels", "channels from IPTV-org", … */
+function getDensityLabel(style) {
+  const [, kind, value] = style.split(":");
+  if (kind === "type") return `${DENSITY_TYPE_LABELS[value] || value} channels`;
+  if (kind === "source") return `channels from ${value}`;
+  return "channels";
+}
+
+/** Lower bound of each color bucket for counts up to max, spaced logarithmically (1, …, max). */
+function getDensityThresholds(max) {
+  const lows = [];
+  for (let i = 0; i < DENSITY_COLORS.length; i++) {
+    const low = i === 0 ? 1 : Math.floor(Math.pow(max, i / DENSITY_COLORS.length)) + 1;
+    if (low <= max && (lows.length === 0 || low > lows[lows.length - 1])) lows.push(low);
+  }
+  return lows;
+}
+
+function renderDensityLegend(style, lows, max) {
+  const legend = document.getElementById("map-legend");
+  if (!legend) return;
+  legend.hidden = !style.startsWith("density");
+  if (legend.hidden) return;
+  legend.innerHTML = "";
+  const title = document.createElement("strong");
+  title.className = "map-legend-title";
+  const label = getDensityLabel(style);
+  title.textContent = label.charAt(0).toUpperCase() + label.slice(1);
+  legend.appendChild(title);
+  const rows = lows.map((low, i) => {
+    const high = i + 1 < lows.length ? lows[i + 1] - 1 : max;
+    return { color: DENSITY_COLORS[DENSITY_COLORS.length - lows.length + i], text: low === high ? String(low) : `${low}–${high}` };
+  });
+  const hasCatalog = Object.keys(channelDensity?.byIso || {}).length > 0;
+  rows.push({ color: DENSITY_EMPTY_FILL, text: hasCatalog ? "None" : "No catalog (run make import)" });
+  rows.reverse().forEach(({ color, text }) => {
+    const row = document.createElement("span");
+    row.className = "map-legend-row";
+    const swatch = document.createElement("span");
+    swatch.className = "map-legend-swatch";
+    swatch.style.background = color;
+    row.append(swatch, text);
+    legend.appendChild(row);
+  });
+}
+
+/**
+ * Paint countries for the current style: flag patterns (countries without a flag get the plain fill),
+ * plain themed fill, or density colors with zero-channel countries muted.
+ */
+function applyMapStyle() {
+  const style = getMapStyle();
+  const select = document.getElementById("map-style");
+  if (select && select.value !== style) select.value = style;
+  const paths = document.querySelectorAll("#countries .country");
+  if (style === "flags" || style === "plain") {
+    paths.forEach((el) => {
+      const flagFill = style === "flags" && el.getAttribute("data-flag-fill");
+      if (flagFill) el.setAttribute("fill", flagFill);
+      else el.removeAttribute("fill");
+      el.classList.toggle("country--plain", !flagFill);
+      el.classList.remove("country--empty");
+      el.removeAttribute("data-density");
+    });
+    renderDensityLegend(style, [], 0);
+    return;
+  }
+  if (!channelDensity) {
+    loadChannelDensity().then(applyMapStyle);
+    return;
+  }
+  const counts = new Map();
+  paths.forEach((el) => counts.set(el, getDensityCount(el.getAttribute("data-iso2") || "", style)));
+  const max = Math.max(0, ...counts.values());
+  const lows = getDensityThresholds(max);
+  const offset = DENSITY_COLORS.length - lows.length;
+  const label = getDensityLabel(style);
+  paths.forEach((el) => {
+    const count = counts.get(el);
+    let bucket = -1;
+    lows.forEach((low, i) => {
+      if (count >= low) bucket = i;
+    });
+    el.setAttribute("fill", bucket === -1 ? DENSITY_EMPTY_FILL : DENSITY_COLORS[offset + bucket]);
+    el.classList.remove("country--plain");
+    el.classList.toggle("country--empty", count === 0);
+    el.setAttribute("data-density", `${count} ${count === 1 ? label.replace("channels", "channel") : label}`);
+  });
+  renderDensityLegend(style, lows, max);
+}
+
+function initMapStyle() {
+  const select = document.getElementById("map-style");
+  if (!select) return;
+  select.addEventListener("change", () => setMapStyle(select.value));
+  // Source options come from the manifest; channels.json is only fetched once a density style is shown
+  loadChannelManifest().then((manifest) => {
+    const sources = Array.from(new Set(Object.values(manifest.countries).flatMap(Object.keys))).sort();
+    const group = document.getElementById("map-style-sources");
+    if (group) {
+      sources.forEach((src) => {
+        const opt = document.createElement("option");
+        opt.value = `density:source:${src}`;
+        opt.textContent = src;
+        group.appendChild(opt);
+      });
+      group.hidden = sources.length === 0;
+    }
+    if (!Array.from(select.options).some((o) => o.value === getMapStyle())) setMapStyle("flags");
+    else applyMapStyle();
+  });
+}
+
+/**
+ * Add SVG pattern definitions for country flags (one per iso2 with a bundled flag).
+ * Inserts into the map SVG's existing <defs>.
+ */
+function addFlagPatternsToMap(svgCountries, features) {
+  const svg = svgCountries.parentElement;
+  if (!svg || svg.tagName !== "svg") return;
+  let defs = svg.querySelector("defs");
+  if (!defs) {
+    defs = document.createElementNS("http://www.w3.org/2000/svg", "defs");
+    svg.insertBefore(defs, svg.firstChild);
+  }
+  const seen = new Set();
+  const iso2List = [];
+  features.forEach((f) => {
+    const name = f.properties?.NAME ?? f.properties?.ADMIN ?? "";
+    const { iso2 } = getFeatureIso(f.properties || {}, name);
+    if (iso2 && !seen.has(iso2) && getFlagUrl(iso2)) {
+      seen.add(iso2);
+      iso2List.push(iso2);
+    }
+  });
+  iso2List.forEach((iso2) => {
+    const id = "flag-" + iso2;
+    if (defs.querySelector("#" + id)) return;
+    const flagUrl = getFlagUrl(iso2);
+    if (!flagUrl) return;
+    const pattern = document.createElementNS("http://www.w3.org/2000/svg", "pattern");
+    pattern.setAttribute("id", id);
+    pattern.setAttribute("patternUnits", "objectBoundingBox");
+    pattern.setAttribute("width", "1");
+    pattern.setAttribute("height", "1");
+    pattern.setAttribute("preserveAspectRatio", "xMidYMid slice");
+    const img = document.createElementNS("http://www.w3.org/2000/svg", "image");
+    img.setAttribute("href", flagUrl);
+    img.setAttribute("x", "0");
+    img.setAttribute("y", "0");
+    img.setAttribute("width", "1");
+    img.setAttribute("height", "1");
+    img.setAttribute("preserveAspectRatio", "xMidYMid slice");
+    pattern.appendChild(img);
+    defs.appendChild(pattern);
+  });
+}
+
+/**
+ * Render GeoJSON features as country paths into #countries.
+ * Returns selectByIso2(iso2, onChannelsLoaded) for URL-driven selection.
+ */
+function renderCountries(geojson, svgCountries, selectedCountryEl, countryNameEl, countryCodeEl) {
+  svgCountries.innerHTML = "";
+  const features = geojson.features || [];
+
+  addFlagPatternsToMap(svgCountries, features);
+  countrySearchIndex = buildCountrySearchIndex(features);
+
+  function selectCountry(el, toggle, onChannelsLoaded) {
+    const isSelected = el.classList.contains("selected");
+    document.querySelectorAll(".country.selected").forEach((n) => n.classList.remove("selected"));
+    if (toggle && isSelected) {
+      clearSelection();
+      setUrlState({});
+      return;
+    }
+    el.classList.add("selected");
+    setViewModeButtons("country");
+    countryNameEl.textContent = el.getAttribute("data-name");
+    const iso2 = el.getAttribute("data-iso2");
+    const iso3 = iso2 && countryByIso2.get(iso2)?.iso3;
+    countryCodeEl.textContent = iso2 ? (iso3 ? `ISO: ${iso2}/${iso3}` : `ISO: ${iso2}`) : (el.getAttribute("data-iso") ? `ISO: ${el.getAttribute("data-iso")}` : "");
+    const countryFlagEl = document.getElementById("country-flag");
+    if (countryFlagEl) {
+      const flagUrl = getFlagUrl(iso2);
+      if (flagUrl) {
+        countryFlagEl.src = flagUrl;
+        countryFlagEl.alt = "";
+        countryFlagEl.hidden = false;
+      } else {
+        countryFlagEl.hidden = true;
+      }
+    }
+    selectedCountryEl.hidden = false;
+    setUrlState({ country: iso2 });
+    updateCountryTime();
+    updateRegionLayer();
+    loadChannelsForCountry(iso2, onChannelsLoaded);
+  }
+
+  features.forEach((feature, index) => {
+    const geom = feature.geometry;
+    if (!geom || (geom.type !== "Polygon" && geom.type !== "MultiPolygon")) return;
+
+    const name = feature.properties?.NAME ?? feature.properties?.ADMIN ?? `Country ${index + 1}`;
+    const { iso, iso2 } = getFeatureIso(feature.properties || {}, name);
+
+    const pathEl = document.createElementNS("http://www.w3.org/2000/svg", "path");
+    countryGeometries.set(pathEl, geom);
+    countryBaseGeometries.set(pathEl, geom);
+    pathEl.setAttribute("class", "country");
+    drawCountryPath(pathEl);
+    if (feature.properties?.TILE) pathEl.setAttribute("data-tile", feature.properties.TILE);
+    if (getFlagUrl(iso2)) pathEl.setAttribute("data-flag-fill", "url(#flag-" + iso2 + ")");
+    pathEl.setAttribute("data-name", name);
+    pathEl.setAttribute("data-iso", iso);
+    if (iso2) pathEl.setAttribute("data-iso2", iso2);
+    pathEl.setAttribute("data-index", String(index));
+    pathEl.setAttribute("tabindex", "0");
+    pathEl.setAttribute("role", "button");
+    pathEl.setAttribute("aria-label", `Select ${name}`);
+
+    pathEl.addEventListener("click", (e) => {
+      if (pointerMovedDuringPan) return;
+      selectCountry(pathEl, true);
+    });
+    pathEl.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        selectCountry(pathEl, true);
+      }
+    });
+    // Tabbing onto a country on the far side of the globe turns it into view
+    pathEl.addEventListener("focus", () => {
+      if (pathEl.classList.contains("country--culled")) rotateGlobeToCountry(pathEl);
+    });
+
+    // Infobubble on hover
+    pathEl.addEventListener("mouseenter", (e) => showTooltip(e, pathEl));
+    pathEl.addEventListener("mousemove", (e) => moveTooltip(e));
+    pathEl.addEventListener("mouseleave", () => hideTooltip());
+
+    svgCountries.appendChild(pathEl);
+  });
+  applyMapStyle();
+  scheduleMapDetailUpdate();
+
+  return function selectByIso2(iso2, onChannelsLoaded) {
+    const norm = (iso2 || "").trim().toUpperCase();
+    if (norm.length !== 2) return;
+    const el = svgCountries.querySelector(`.country[data-iso2="${norm}"]`);
+    if (!el) return;
+    selectCountry(el, false, onChannelsLoaded);
+    rotateGlobeToCountry(el);
+  };
+}
+
+/** "country:XX", "category:Name" or "" for a URL state; compared on back/forward to skip reloading the same list. */
+function getSelectionKey(state) {
+  if (state.country) return `country:${state.country}`;
+  if (state.category) return `category:${state.category}`;
+  return "";
+}
+
+/**
+ * Apply the URL (see getUrlState) on load, and on back/forward (fromHistory): select the country or category,
+ * then restore its filters and open ?channel=; move the map to ?zoom=&lat=&lng=. getUrlState already
+ * resolved ISO3/numeric/name links to ISO2.
+ */
+function applyUrlState(selectByIso2, fromHistory = false) {
+  const state = getUrlState();
+  const onChannelsLoaded = (channels) => {
+    setChannelFilterState(state);
+    if (state.channel && channels) {
+      const ch = findChannelById(channels, state.channel);
+      if (ch) openPlayerModal(ch);
+    }
+  };
+  applyingUrlState = true;
+  try {
+    if (fromHistory && getSelectionKey(state) === urlSelectionKey) setChannelFilterState(state);
+    else if (state.category) loadChannelsForCategory(state.category, onChannelsLoaded);
+    else if (state.country === UNKNOWN_COUNTRY_ISO) selectUnknown(onChannelsLoaded);
+    else if (state.country && typeof selectByIso2 === "function") selectByIso2(state.country, onChannelsLoaded);
+    else if (fromHistory) {
+      clearSelection();
+      setUrlState({});
+    }
+  } finally {
+    applyingUrlState = false;
+  }
+  if (state.map) applyMapView(state.map);
+}
+
+/** Hide the sidebar selection (country, Unknown or category), e.g. when back returns to a URL without one. */
+function clearSelection() {
+  document.querySelectorAll(".country.selected").forEach((n) => n.classList.remove("selected"));
+  const selectedCountryEl = document.getElementById("selected-country");
+  if (selectedCountryEl) selectedCountryEl.hidden = true;
+  updateCountryTime();
+  updateRegionLayer();
+}
+
+/** Back/forward between pushed selections (setUrlState) replays the URL. */
+function initUrlHistory() {
+  addEventListener("popstate", () => {
+    if (getMapProjection() !== mapProjection) applyMapProjection();
+    applyUrlState(currentSelectByIso2, true);
+  });
+}
+
+/**
+ * Fetch GeoJSON from URL and render countries. Shows loading overlay.
+ * Returns a promise that resolves to selectByIso2(iso2, onChannelsLoaded) for URL-driven selection.
+ */
+async function loadAndRenderCountries(geojsonUrl) {
+  const svgCountries = document.getElementById("countries");
+  const loading = document.getElementById("map-loading");
+  const selectedCountryEl = document.getElementById("selected-country");
+  const countryNameEl = document.getElementById("country-name");
+  const countryCodeEl = document.getElementById("country-code");
+
+  loading.classList.remove("hidden");
+  loading.textContent = "Loading map…";
+  selectedCountryEl.hidden = true;
+
+  try {
+    // Features are keyed by ISO2 through the metadata table, so load both before drawing
+    const [res] = await Promise.all([fetch(geojsonUrl), loadCountryMetadata()]);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const geojson = await res.json();
+    const selectByIso2 = renderCountries(geojson, svgCountries, selectedCountryEl, countryNameEl, countryCodeEl);
+    loading.classList.add("hidden");
+    return selectByIso2;
   } catch (err) {
-    loading.textContent = "Failed to load map. Try again or choose another quality.";
+    loading.textContent = "Failed to load map. Reload the page to try again.";
     loading.classList.remove("hidden");
     console.error("Map load error:", err);
     return null;
   }
 }
 
-/**
- * Favorites panel: list, resolve from data/channels.json, play/remove/reorder/folders.
- */
-function initFavoritesPanel() {
-  const toggle = document.getElementById("favorites-toggle");
-  const panel = document.getElementById("favorites-panel");
-  const listEl = document.getElementById("favorites-list");
-  const emptyEl = document.getElementById("favorites-empty");
-  const addFolderBtn = document.getElementById("favorites-add-folder");
-  const backdrop = document.getElementById("favorites-sidebar-backdrop");
-  const closeBtn = document.getElementById("favorites-sidebar-close");
+/**
+ * Favorites panel: list, resolve from data/channels.json, play/remove/reorder/folders.
+ */
+function initFavoritesPanel() {
+  const toggle = document.getElementById("favorites-toggle");
+  const panel = document.getElementById("favorites-panel");
+  const listEl = document.getElementById("favorites-list");
+  const emptyEl = document.getElementById("favorites-empty");
+  const addFolderBtn = document.getElementById("favorites-add-folder");
+  const backdrop = document.getElementById("favorites-sidebar-backdrop");
+  const closeBtn = document.getElementById("favorites-sidebar-close");
+
+  if (!toggle || !panel || !listEl) return;
+
+  function openPanel() {
+    panel.classList.remove("favorites-sidebar--closed");
+    panel.setAttribute("aria-hidden", "false");
+    toggle.setAttribute("aria-expanded", "true");
+    loadAllChannels().then(() => renderFavoritesList());
+  }
+
+  function closePanel() {
+    panel.classList.add("favorites-sidebar--closed");
+    panel.setAttribute("aria-hidden", "true");
+    toggle.setAttribute("aria-expanded", "false");
+  }
+
+  toggle.addEventListener("click", () => {
+    if (panel.classList.contains("favorites-sidebar--closed")) openPanel();
+    else closePanel();
+  });
+
+  backdrop?.addEventListener("click", closePanel);
+  closeBtn?.addEventListener("click", closePanel);
+
+  addFolderBtn?.addEventListener("click", () => {
+    const name = prompt("Folder name", "New folder");
+    if (name != null && name.trim()) {
+      addFolder(name.trim());
+      renderFavoritesList();
+    }
+  });
+
+  function renderFavoritesList() {
+    const { items } = getFavorites();
+    emptyEl.hidden = items.length > 0;
+    listEl.innerHTML = "";
+
+    const folders = getFavoriteFolders();
+
+    function addChannelRow(entry, container, parentFolderId) {
+      const ch = resolveFavoriteChannel(entry);
+      const name = entry.name || "Channel";
+      const iso = entry.iso || "";
+      const row = document.createElement("div");
+      row.className = "favorites-row favorites-row--channel";
+      row.setAttribute("role", "listitem");
+      row.setAttribute("data-id", entry.id);
+
+      const order = document.createElement("div");
+      order.className = "favorites-order";
+      const up = document.createElement("button");
+      up.type = "button";
+      up.className = "favorites-order-btn";
+      up.textContent = "↑";
+      up.title = "Move up";
+      up.addEventListener("click", (e) => {
+        e.stopPropagation();
+        moveFavoriteUpDown(entry.id, "up");
+        renderFavoritesList();
+      });
+      const down = document.createElement("button");
+      down.type = "button";
+      down.className = "favorites-order-btn";
+      down.textContent = "↓";
+      down.title = "Move down";
+      down.addEventListener("click", (e) => {
+        e.stopPropagation();
+        moveFavoriteUpDown(entry.id, "down");
+        renderFavoritesList();
+      });
+      order.append(up, down);
+
+      const main = document.createElement("div");
+      main.className = "favorites-row-main";
+      if (ch) {
+        const play = document.createElement("button");
+        play.type = "button";
+        play.className = "favorites-play";
+        play.textContent = "Play";
+        play.title = "Play channel";
+        play.addEventListener("click", (e) => {
+          e.stopPropagation();
+          openChannelRef(iso, channelRefId(entry));
+        });
+        main.appendChild(play);
+      }
+      const label = document.createElement("span");
+      label.className = "favorites-row-label";
+      label.textContent = name;
+      if (!ch) {
+        const warn = document.createElement("span");
+        warn.className = "favorites-row-warning";
+        warn.textContent = " (no longer available)";
+        label.appendChild(warn);
+      }
+      main.appendChild(label);
+      const meta = document.createElement("span");
+      meta.className = "favorites-row-meta";
+      meta.textContent = iso;
+      main.appendChild(meta);
+
+      if (folders.length > 0) {
+        const folderSelect = document.createElement("select");
+        folderSelect.className = "favorites-folder-select";
+        folderSelect.title = "Move to folder";
+        const optTop = document.createElement("option");
+        optTop.value = "";
+        optTop.textContent = "— None —";
+        folderSelect.appendChild(optTop);
+        folders.forEach((f) => {
+          const opt = document.createElement("option");
+          opt.value = f.id;
+          opt.textContent = f.name;
+          folderSelect.appendChild(opt);
+        });
+        folderSelect.value = parentFolderId || "";
+        folderSelect.addEventListener("change", () => {
+          const val = folderSelect.value;
+          if (val) moveFavoriteToFolder(entry.id, val);
+          else moveFavoriteToTopLevel(entry.id);
+          renderFavoritesList();
+        });
+        main.appendChild(folderSelect);
+      }
+
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "favorites-remove";
+      remove.textContent = "✕";
+      remove.title = "Remove from favorites";
+      remove.addEventListener("click", (e) => {
+        e.stopPropagation();
+        removeFavoriteById(entry.id);
+        renderFavoritesList();
+      });
+
+      row.append(order, main, remove);
+      container.appendChild(row);
+    }
+
+    function addFolderBlock(folder, container) {
+      const block = document.createElement("div");
+      block.className = "favorites-folder";
+      block.setAttribute("data-id", folder.id);
+      const head = document.createElement("div");
+      head.className = "favorites-folder-head";
+      const toggleFold = document.createElement("button");
+      toggleFold.type = "button";
+      toggleFold.className = "favorites-folder-toggle";
+      toggleFold.textContent = "▼";
+      toggleFold.setAttribute("aria-label", "Expand or collapse folder");
+      const title = document.createElement("span");
+      title.className = "favorites-folder-title";
+      title.textContent = folder.name || "Folder";
+      const removeFolder = document.createElement("button");
+      removeFolder.type = "button";
+      removeFolder.className = "favorites-remove";
+      removeFolder.textContent = "✕";
+      removeFolder.title = "Remove folder";
+      removeFolder.addEventListener("click", (e) => {
+        e.stopPropagation();
+        removeFavoriteById(folder.id);
+        renderFavoritesList();
+      });
+      head.append(toggleFold, title, removeFolder);
+      const body = document.createElement("div");
+      body.className = "favorites-folder-body";
+      (folder.children || []).forEach((child) => {
+        if (child.type === "channel") addChannelRow(child, body, folder.id);
+        else if (child.type === "folder") addFolderBlock(child, body);
+      });
+      head.addEventListener("click", (e) => {
+        if (!e.target.closest(".favorites-remove")) body.classList.toggle("favorites-folder-body--collapsed");
+      });
+      toggleFold.addEventListener("click", (e) => {
+        e.stopPropagation();
+        body.classList.toggle("favorites-folder-body--collapsed");
+      });
+      block.append(head, body);
+      container.appendChild(block);
+    }
+
+    items.forEach((it) => {
+      if (it.type === "channel") addChannelRow(it, listEl, null);
+      else if (it.type === "folder") addFolderBlock(it, listEl);
+    });
+  }
+
+  addEventListener("worldmedia-favorites-changed", () => {
+    if (!panel.classList.contains("favorites-sidebar--closed")) renderFavoritesList();
+  });
+}
+
+/**
+ * Set up About toggle and map quality selector; load initial map.
+ */
+function initMap() {
+  const aboutToggle = document.getElementById("about-toggle");
+  const aboutSection = document.getElementById("about");
+
+  // About toggle
+  if (aboutToggle && aboutSection) {
+    aboutToggle.addEventListener("click", () => {
+      const hidden = aboutSection.classList.toggle("about--hidden");
+      aboutSection.setAttribute("aria-hidden", hidden);
+      aboutToggle.setAttribute("aria-expanded", !hidden);
+    });
+  }
+
+  initMapProjection();
+
+  // Simplified world first (detail tiles follow the zoom), then pan/zoom and URL state
+  loadAndRenderCountries(MAP_WORLD_URL).then((selectByIso2) => {
+    currentSelectByIso2 = selectByIso2;
+    const zoomSlider = document.getElementById("zoom-slider");
+    const zoomValue = document.getElementById("zoom-value");
+
+    const panZoomApi = initPanZoom({
+      onScaleChange(scale) {
+        if (zoomSlider) zoomSlider.value = scale;
+        if (zoomValue) zoomValue.textContent = Math.round(scale * 100) + "%";
+        scheduleWebcamPinsRender();
+        updateRegionLayer();
+      },
+      onViewChange() {
+        scheduleMapDetailUpdate();
+        scheduleMapViewUrlUpdate();
+      },
+      rotation: {
+        isActive: () => mapProjection === "globe",
+        start: stopGlobeMotion,
+        move: rotateGlobeBy,
+        end: startGlobeInertia,
+      },
+    });
+    mapPanZoomApi = panZoomApi;
+    initWebcamPins();
+    initCountrySearch();
+
+    if (panZoomApi && zoomSlider) {
+      zoomSlider.addEventListener("input", () => {
+        panZoomApi.setScale(parseFloat(zoomSlider.value));
+      });
+    }
+
+    applyUrlState(selectByIso2);
+    initUrlHistory();
+
+    const unknownBtn = document.getElementById("map-unknown-btn");
+    if (unknownBtn) {
+      unknownBtn.addEventListener("click", () => selectUnknown());
+    }
+  });
+}
+
+function initPlayerModal() {
+  const modal = document.getElementById("player-modal");
+  const closeBtn = document.getElementById("player-modal-close");
+  const backdrop = document.getElementById("player-modal-backdrop");
+  if (!modal || !closeBtn || !backdrop) return;
+  closeBtn.addEventListener("click", closePlayerModal);
+  backdrop.addEventListener("click", closePlayerModal);
+  document.getElementById("player-modal-prev")?.addEventListener("click", () => zapChannel(-1));
+  document.getElementById("player-modal-next")?.addEventListener("click", () => zapChannel(1));
+  document.getElementById("player-modal-minimize")?.addEventListener("click", () => setPlayerMini(!isPlayerMini()));
+  document.getElementById("player-modal-pip")?.addEventListener("click", togglePictureInPicture);
+  const videoEl = document.getElementById("player-video");
+  if (videoEl) {
+    // Going PiP docks the modal so the map is usable; the floating window keeps the video
+    videoEl.addEventListener("enterpictureinpicture", () => {
+      setPlayerMini(true);
+      updatePipButton();
+    });
+    videoEl.addEventListener("leavepictureinpicture", updatePipButton);
+  }
+  document.addEventListener("keydown", (e) => {
+    // Docked player: keys belong to the page being browsed
+    if (modal.getAttribute("aria-hidden") !== "false" || isPlayerMini()) return;
+    if (e.key === "Escape") {
+      closePlayerModal();
+      return;
+    }
+    // Zapping: PageUp/PageDown always; arrow keys only when not used by a form field or native media controls
+    const target = e.target;
+    const arrowsTaken = target && target.closest?.("input, select, textarea, video, audio");
+    const prevKeys = arrowsTaken ? ["PageUp"] : ["PageUp", "ArrowUp", "ArrowLeft"];
+    const nextKeys = arrowsTaken ? ["PageDown"] : ["PageDown", "ArrowDown", "ArrowRight"];
+    if (prevKeys.includes(e.key)) {
+      e.preventDefault();
+      zapChannel(-1);
+    } else if (nextKeys.includes(e.key)) {
+      e.preventDefault();
+      zapChannel(1);
+    }
+  });
+}
+
+document.addEventListener("worldmedia-favorites-changed", refreshFavoriteStarsInList);
+
+function refreshChannelsAfterTrashChange() {
+  const selectedCountryEl = document.getElementById("selected-country");
+  const countryNameEl = document.getElementById("country-name");
+  const countryCodeEl = document.getElementById("country-code");
+  if (!selectedCountryEl || selectedCountryEl.hidden) return;
+  if (countryCodeEl && countryCodeEl.textContent === "Category" && countryNameEl) {
+    loadChannelsForCategory(countryNameEl.textContent.trim());
+  } else {
+    const { country } = getUrlState();
+    if (country) loadChannelsForCountry(country);
+    else {
+      const sel = document.querySelector(".country.selected");
+      if (sel) loadChannelsForCountry(sel.getAttribute("data-iso2") || "");
+      else loadChannelsForCountry(UNKNOWN_COUNTRY_ISO);
+    }
+  }
+}
+
+document.addEventListener("worldmedia-trash-changed", () => {
+  refreshChannelsAfterTrashChange();
+});
 
+/** Trash panel: list trashed channels, Restore and Empty trash. */
+function initTrashPanel() {
+  const toggle = document.getElementById("trash-toggle");
+  const panel = document.getElementById("trash-panel");
+  const listEl = document.getElementById("trash-list");
+  const emptyEl = document.getElementById("trash-empty");
+  const emptyBtn = document.getElementById("trash-empty-btn");
+  const backdrop = document.getElementById("trash-sidebar-backdrop");
+  const closeBtn = document.getElementById("trash-sidebar-close");
   if (!toggle || !panel || !listEl) return;
 
   function openPanel() {
     panel.classList.remove("favorites-sidebar--closed");
     panel.setAttribute("aria-hidden", "false");
     toggle.setAttribute("aria-expanded", "true");
-    loadAllChannels().then(() => renderFavoritesList());
+    renderTrashList();
   }
 
   function closePanel() {
@@ -1561,61 +5257,93 @@ function initFavoritesPanel() {
     toggle.setAttribute("aria-expanded", "false");
   }
 
+  function renderTrashList() {
+    const list = getTrash();
+    emptyEl.hidden = list.length > 0;
+    listEl.innerHTML = "";
+    list.forEach((entry) => {
+      const row = document.createElement("div");
+      row.className = "favorites-row favorites-row--channel trash-row";
+      const main = document.createElement("div");
+      main.className = "favorites-row-main";
+      main.textContent = entry.name || "Channel";
+      const meta = document.createElement("span");
+      meta.className = "favorites-row-meta";
+      meta.textContent = entry.iso || "";
+      const restoreBtn = document.createElement("button");
+      restoreBtn.type = "button";
+      restoreBtn.className = "favorites-play";
+      restoreBtn.textContent = "Restore";
+      restoreBtn.title = "Remove from trash and show in lists again";
+      restoreBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        removeChannelFromTrash(entry.iso, channelRefId(entry));
+        renderTrashList();
+      });
+      row.append(main, meta, restoreBtn);
+      listEl.appendChild(row);
+    });
+  }
+
   toggle.addEventListener("click", () => {
     if (panel.classList.contains("favorites-sidebar--closed")) openPanel();
     else closePanel();
   });
-
   backdrop?.addEventListener("click", closePanel);
   closeBtn?.addEventListener("click", closePanel);
-
-  addFolderBtn?.addEventListener("click", () => {
-    const name = prompt("Folder name", "New folder");
-    if (name != null && name.trim()) {
-      addFolder(name.trim());
-      renderFavoritesList();
-    }
+  emptyBtn?.addEventListener("click", () => {
+    emptyTrash();
+    renderTrashList();
+  });
+  addEventListener("worldmedia-trash-changed", () => {
+    if (!panel.classList.contains("favorites-sidebar--closed")) renderTrashList();
   });
+}
 
-  function renderFavoritesList() {
-    const { items } = getFavorites();
-    emptyEl.hidden = items.length > 0;
-    listEl.innerHTML = "";
+function initHistoryPanel() {
+  const toggle = document.getElementById("history-toggle");
+  const panel = document.getElementById("history-panel");
+  const listEl = document.getElementById("history-list");
+  const emptyEl = document.getElementById("history-empty");
+  const clearBtn = document.getElementById("history-clear-btn");
+  const continueBtn = document.getElementById("history-continue-btn");
+  const backdrop = document.getElementById("history-sidebar-backdrop");
+  const closeBtn = document.getElementById("history-sidebar-close");
+  if (!toggle || !panel || !listEl) return;
 
-    const folders = getFavoriteFolders();
+  const typeLabels = { tv: "TV", radio: "Radio", youtube: "YouTube", webcam: "Webcam" };
 
-    function addChannelRow(entry, container, parentFolderId) {
-      const ch = resolveFavoriteChannel(entry);
-      const name = entry.name || "Channel";
-      const iso = entry.iso || "";
+  function isOpen() {
+    return !panel.classList.contains("favorites-sidebar--closed");
+  }
+
+  function openPanel() {
+    panel.classList.remove("favorites-sidebar--closed");
+    panel.setAttribute("aria-hidden", "false");
+    toggle.setAttribute("aria-expanded", "true");
+    loadAllChannels().then(() => renderHistoryList());
+  }
+
+  function closePanel() {
+    panel.classList.add("favorites-sidebar--closed");
+    panel.setAttribute("aria-hidden", "true");
+    toggle.setAttribute("aria-expanded", "false");
+  }
+
+  function renderHistoryList() {
+    const list = getHistory();
+    emptyEl.hidden = list.length > 0;
+    if (clearBtn) clearBtn.disabled = list.length === 0;
+    if (continueBtn) {
+      continueBtn.disabled = list.length === 0;
+      continueBtn.title = list.length > 0 ? `Play ${list[0].name || "Channel"} again` : "Nothing watched yet";
+    }
+    listEl.innerHTML = "";
+    list.forEach((entry) => {
+      const ch = resolveChannelRef(entry.iso, channelRefId(entry));
       const row = document.createElement("div");
-      row.className = "favorites-row favorites-row--channel";
+      row.className = "favorites-row favorites-row--channel history-row";
       row.setAttribute("role", "listitem");
-      row.setAttribute("data-id", entry.id);
-
-      const order = document.createElement("div");
-      order.className = "favorites-order";
-      const up = document.createElement("button");
-      up.type = "button";
-      up.className = "favorites-order-btn";
-      up.textContent = "↑";
-      up.title = "Move up";
-      up.addEventListener("click", (e) => {
-        e.stopPropagation();
-        moveFavoriteUpDown(entry.id, "up");
-        renderFavoritesList();
-      });
-      const down = document.createElement("button");
-      down.type = "button";
-      down.className = "favorites-order-btn";
-      down.textContent = "↓";
-      down.title = "Move down";
-      down.addEventListener("click", (e) => {
-        e.stopPropagation();
-        moveFavoriteUpDown(entry.id, "down");
-        renderFavoritesList();
-      });
-      order.append(up, down);
 
       const main = document.createElement("div");
       main.className = "favorites-row-main";
@@ -1627,23 +5355,13 @@ function initFavoritesPanel() {
         play.title = "Play channel";
         play.addEventListener("click", (e) => {
           e.stopPropagation();
-          if (currentSelectByIso2) {
-            currentSelectByIso2(iso, (channels) => {
-              const found = findChannelBySlug(channels, entry.slug);
-              if (found) openPlayerModal(found);
-            });
-          } else {
-            loadChannelsForCountry(iso, (channels) => {
-              const found = findChannelBySlug(channels, entry.slug);
-              if (found) openPlayerModal(found);
-            });
-          }
+          openChannelRef(entry.iso, channelRefId(entry));
         });
         main.appendChild(play);
       }
       const label = document.createElement("span");
       label.className = "favorites-row-label";
-      label.textContent = name;
+      label.textContent = entry.name || "Channel";
       if (!ch) {
         const warn = document.createElement("span");
         warn.className = "favorites-row-warning";
@@ -1653,258 +5371,983 @@ function initFavoritesPanel() {
       main.appendChild(label);
       const meta = document.createElement("span");
       meta.className = "favorites-row-meta";
-      meta.textContent = iso;
+      const when = new Date(entry.at).toLocaleString([], { dateStyle: "short", timeStyle: "short" });
+      const watched = historySession?.id === entry.id ? "watching" : formatWatchDuration(entry.duration || 0);
+      meta.textContent = [entry.iso, typeLabels[entry.type] || entry.type, when, watched].filter(Boolean).join(" · ");
       main.appendChild(meta);
 
-      if (folders.length > 0) {
-        const folderSelect = document.createElement("select");
-        folderSelect.className = "favorites-folder-select";
-        folderSelect.title = "Move to folder";
-        const optTop = document.createElement("option");
-        optTop.value = "";
-        optTop.textContent = "— None —";
-        folderSelect.appendChild(optTop);
-        folders.forEach((f) => {
-          const opt = document.createElement("option");
-          opt.value = f.id;
-          opt.textContent = f.name;
-          folderSelect.appendChild(opt);
-        });
-        folderSelect.value = parentFolderId || "";
-        folderSelect.addEventListener("change", () => {
-          const val = folderSelect.value;
-          if (val) moveFavoriteToFolder(entry.id, val);
-          else moveFavoriteToTopLevel(entry.id);
-          renderFavoritesList();
-        });
-        main.appendChild(folderSelect);
-      }
+      const star = document.createElement("button");
+      star.type = "button";
+      star.className = "channel-item-fav history-fav";
+      star.textContent = "★";
+      const inFav = isChannelInFavorites(entry.iso, channelRefId(entry));
+      star.classList.toggle("is-favorite", inFav);
+      star.title = inFav ? "Remove from favorites" : "Add to favorites";
+      star.setAttribute("aria-label", star.title);
+      star.disabled = !ch && !inFav;
+      star.addEventListener("click", (e) => {
+        e.stopPropagation();
+        if (isChannelInFavorites(entry.iso, channelRefId(entry))) removeChannelFromFavorites(entry.iso, channelRefId(entry));
+        else if (ch) addChannelToFavorites(ch);
+      });
 
       const remove = document.createElement("button");
       remove.type = "button";
       remove.className = "favorites-remove";
       remove.textContent = "✕";
-      remove.title = "Remove from favorites";
+      remove.title = "Remove from history";
       remove.addEventListener("click", (e) => {
         e.stopPropagation();
-        removeFavoriteById(entry.id);
-        renderFavoritesList();
+        removeHistoryEntry(entry.id);
       });
 
-      row.append(order, main, remove);
-      container.appendChild(row);
+      row.append(main, star, remove);
+      listEl.appendChild(row);
+    });
+  }
+
+  toggle.addEventListener("click", () => {
+    if (isOpen()) closePanel();
+    else openPanel();
+  });
+  backdrop?.addEventListener("click", closePanel);
+  closeBtn?.addEventListener("click", closePanel);
+  clearBtn?.addEventListener("click", () => {
+    if (confirm("Clear the whole watch history?")) clearHistory();
+  });
+  continueBtn?.addEventListener("click", () => {
+    const last = getHistory()[0];
+    if (!last) return;
+    closePanel();
+    loadAllChannels().then(() => openChannelRef(last.iso, channelRefId(last)));
+  });
+
+  addEventListener("worldmedia-player-opened", (e) => {
+    if (e.detail?.channel) startHistorySession(e.detail.channel);
+  });
+  addEventListener("worldmedia-player-closed", finishHistorySession);
+  addEventListener("pagehide", finishHistorySession);
+  addEventListener("worldmedia-history-changed", () => {
+    if (isOpen()) renderHistoryList();
+  });
+  addEventListener("worldmedia-favorites-changed", () => {
+    if (isOpen()) renderHistoryList();
+  });
+}
+
+// —— What's new (data/changes.json, written by scripts/import.sh; last visit in localStorage): "New" badges, recent additions ——
+const CHANGES_URL = "data/changes.json";
+const LAST_VISIT_STORAGE_KEY = "worldmedia-last-visit";
+/** Per-tab copy of the previous visit, so reloads keep the same badges until the next visit. */
+const VISIT_SINCE_SESSION_KEY = "worldmedia-visit-since";
+/** Import runs listed in the What's new panel, and added channels shown per run. */
+const WHATS_NEW_RUNS = 10;
+const WHATS_NEW_PER_RUN = 100;
+
+/** Promise of the import runs, newest first ({ at, sources, totals, countries }); [] without a change log. */
+let changeLog = null;
+/** Previous visit (ms), 0 on the first one; set by getVisitSince. */
+let visitSince = null;
+
+function loadChangeLog() {
+  if (changeLog) return changeLog;
+  changeLog = (async () => {
+    try {
+      const res = await fetch(CHANGES_URL);
+      const data = res.ok ? await res.json() : {};
+      return Array.isArray(data.runs) ? data.runs.filter((run) => run && !isNaN(Date.parse(run.at))) : [];
+    } catch {
+      return [];
     }
+  })();
+  return changeLog;
+}
 
-    function addFolderBlock(folder, container) {
-      const block = document.createElement("div");
-      block.className = "favorites-folder";
-      block.setAttribute("data-id", folder.id);
-      const head = document.createElement("div");
-      head.className = "favorites-folder-head";
-      const toggleFold = document.createElement("button");
-      toggleFold.type = "button";
-      toggleFold.className = "favorites-folder-toggle";
-      toggleFold.textContent = "▼";
-      toggleFold.setAttribute("aria-label", "Expand or collapse folder");
-      const title = document.createElement("span");
-      title.className = "favorites-folder-title";
-      title.textContent = folder.name || "Folder";
-      const removeFolder = document.createElement("button");
-      removeFolder.type = "button";
-      removeFolder.className = "favorites-remove";
-      removeFolder.textContent = "✕";
-      removeFolder.title = "Remove folder";
-      removeFolder.addEventListener("click", (e) => {
-        e.stopPropagation();
-        removeFavoriteById(folder.id);
-        renderFavoritesList();
-      });
-      head.append(toggleFold, title, removeFolder);
-      const body = document.createElement("div");
-      body.className = "favorites-folder-body";
-      (folder.children || []).forEach((child) => {
-        if (child.type === "channel") addChannelRow(child, body, folder.id);
-        else if (child.type === "folder") addFolderBlock(child, body);
-      });
-      head.addEventListener("click", (e) => {
-        if (!e.target.closest(".favorites-remove")) body.classList.toggle("favorites-folder-body--collapsed");
-      });
-      toggleFold.addEventListener("click", (e) => {
-        e.stopPropagation();
-        body.classList.toggle("favorites-folder-body--collapsed");
-      });
-      block.append(head, body);
-      container.appendChild(block);
+/** When the user was last here: read once per tab, and the stored value moves on to this visit. */
+function getVisitSince() {
+  if (visitSince !== null) return visitSince;
+  visitSince = 0;
+  try {
+    const kept = sessionStorage.getItem(VISIT_SINCE_SESSION_KEY);
+    if (kept !== null) {
+      visitSince = Number(kept) || 0;
+    } else {
+      visitSince = Number(localStorage.getItem(LAST_VISIT_STORAGE_KEY)) || 0;
+      sessionStorage.setItem(VISIT_SINCE_SESSION_KEY, String(visitSince));
+      localStorage.setItem(LAST_VISIT_STORAGE_KEY, String(Date.now()));
+    }
+  } catch (_) {}
+  return visitSince;
+}
+
+/** Import runs after the last visit (none on a first visit: nothing is "new" to someone who has not seen the lists). */
+function getRunsSinceLastVisit(runs) {
+  const since = getVisitSince();
+  return since ? runs.filter((run) => Date.parse(run.at) > since) : [];
+}
+
+/** Every channel added in the given runs, as { iso, source, id, name, type, at }, newest run first. */
+function getAddedChannels(runs) {
+  return runs.flatMap((run) =>
+    Object.entries(run.countries || {}).flatMap(([iso, sources]) =>
+      Object.entries(sources).flatMap(([source, change]) =>
+        (change.added || []).map((ch) => ({ ...ch, iso, source, at: run.at }))
+      )
+    )
+  );
+}
+
+/** Show the "New" badge on .channel-item rows whose channel (or a variant) was added since the last visit. */
+async function updateChannelListNewBadges() {
+  const added = getAddedChannels(getRunsSinceLastVisit(await loadChangeLog()));
+  const keys = new Set(added.map((ch) => `${ch.iso.toUpperCase()}|${ch.id}`));
+  const listEl = document.getElementById("channel-list");
+  if (!listEl) return;
+  listEl.querySelectorAll(".channel-item").forEach((li) => {
+    const ch = channelItemData.get(li);
+    const badge = li.querySelector(".channel-item-new");
+    if (!ch || !badge) return;
+    const iso = (ch.iso || "").toUpperCase();
+    badge.hidden = !getChannelVariants(ch).some((v) => keys.has(`${iso}|${channelId(v)}`));
+  });
+}
+
+function initWhatsNew() {
+  const toggle = document.getElementById("whats-new-toggle");
+  const panel = document.getElementById("whats-new-panel");
+  const listEl = document.getElementById("whats-new-list");
+  const emptyEl = document.getElementById("whats-new-empty");
+  const countEl = document.getElementById("whats-new-count");
+  const backdrop = document.getElementById("whats-new-sidebar-backdrop");
+  const closeBtn = document.getElementById("whats-new-sidebar-close");
+  getVisitSince();
+  if (!toggle || !panel || !listEl) return;
+
+  const typeLabels = { tv: "TV", radio: "Radio", youtube: "YouTube", webcam: "Webcam" };
+
+  loadChangeLog().then((runs) => {
+    const count = getAddedChannels(getRunsSinceLastVisit(runs)).length;
+    if (!countEl || count === 0) return;
+    countEl.textContent = String(count);
+    countEl.hidden = false;
+    toggle.title = `${count} channel${count === 1 ? "" : "s"} added since your last visit`;
+  });
+
+  function isOpen() {
+    return !panel.classList.contains("favorites-sidebar--closed");
+  }
+
+  function openPanel() {
+    panel.classList.remove("favorites-sidebar--closed");
+    panel.setAttribute("aria-hidden", "false");
+    toggle.setAttribute("aria-expanded", "true");
+    Promise.all([loadChangeLog(), loadCountryMetadata()]).then(([runs]) => renderWhatsNewList(runs));
+  }
+
+  function closePanel() {
+    panel.classList.add("favorites-sidebar--closed");
+    panel.setAttribute("aria-hidden", "true");
+    toggle.setAttribute("aria-expanded", "false");
+  }
+
+  function countryLabel(iso) {
+    return findCountry(iso)?.name || iso;
+  }
+
+  function renderRunHeading(run, isNew) {
+    const heading = document.createElement("h3");
+    heading.className = "whats-new-run";
+    const when = new Date(run.at).toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+    const totals = run.totals || {};
+    heading.textContent = when;
+    const meta = document.createElement("span");
+    meta.className = "favorites-row-meta";
+    meta.textContent = [
+      `${totals.added || 0} added`,
+      `${totals.removed || 0} removed`,
+      `${totals.changed || 0} changed`,
+      isNew ? "since your last visit" : "",
+    ].filter(Boolean).join(" · ");
+    heading.append(" ", meta);
+    return heading;
+  }
+
+  function renderRow(label, metaText, onOpen, isNew) {
+    const row = document.createElement("div");
+    row.className = "favorites-row favorites-row--channel whats-new-row";
+    row.setAttribute("role", "listitem");
+    const main = document.createElement("div");
+    main.className = "favorites-row-main";
+    const play = document.createElement("button");
+    play.type = "button";
+    play.className = "favorites-play";
+    play.textContent = "Play";
+    play.addEventListener("click", (e) => {
+      e.stopPropagation();
+      closePanel();
+      onOpen();
+    });
+    const labelEl = document.createElement("span");
+    labelEl.className = "favorites-row-label";
+    labelEl.textContent = label;
+    if (isNew) {
+      const badge = document.createElement("span");
+      badge.className = "channel-item-new";
+      badge.textContent = "New";
+      labelEl.append(" ", badge);
     }
+    const meta = document.createElement("span");
+    meta.className = "favorites-row-meta";
+    meta.textContent = metaText;
+    main.append(play, labelEl, meta);
+    row.appendChild(main);
+    return row;
+  }
 
-    items.forEach((it) => {
-      if (it.type === "channel") addChannelRow(it, listEl, null);
-      else if (it.type === "folder") addFolderBlock(it, listEl);
+  function renderWhatsNewList(runs) {
+    const since = getVisitSince();
+    const shown = runs.slice(0, WHATS_NEW_RUNS);
+    emptyEl.hidden = shown.length > 0;
+    listEl.innerHTML = "";
+    shown.forEach((run) => {
+      const isNew = since > 0 && Date.parse(run.at) > since;
+      listEl.appendChild(renderRunHeading(run, isNew));
+      const added = getAddedChannels([run]);
+      added.sort((a, b) => countryLabel(a.iso).localeCompare(countryLabel(b.iso)) || (a.name || "").localeCompare(b.name || ""));
+      added.slice(0, WHATS_NEW_PER_RUN).forEach((ch) => {
+        const play = () => openChannelRef(ch.iso, ch.id);
+        const meta = [countryLabel(ch.iso), typeLabels[ch.type] || ch.type, ch.source].filter(Boolean).join(" · ");
+        listEl.appendChild(renderRow(ch.name || "Channel", meta, play, isNew));
+      });
+      if (added.length > WHATS_NEW_PER_RUN) {
+        const more = document.createElement("p");
+        more.className = "favorites-hint";
+        more.textContent = `… and ${added.length - WHATS_NEW_PER_RUN} more`;
+        listEl.appendChild(more);
+      }
+      // Sources imported for a country for the first time are logged as a count: open the country instead
+      Object.entries(run.countries || {}).forEach(([iso, sources]) => {
+        Object.entries(sources).forEach(([source, change]) => {
+          if (!change.new_source) return;
+          const open = () => (currentSelectByIso2 ? currentSelectByIso2(iso) : loadChannelsForCountry(iso));
+          const meta = `${countryLabel(iso)} · new source · ${change.channels} channel${change.channels === 1 ? "" : "s"}`;
+          const row = renderRow(source, meta, open, isNew);
+          row.querySelector(".favorites-play").textContent = "Show";
+          listEl.appendChild(row);
+        });
+      });
     });
   }
 
-  addEventListener("worldmedia-favorites-changed", () => {
-    if (!panel.classList.contains("favorites-sidebar--closed")) renderFavoritesList();
+  toggle.addEventListener("click", () => {
+    if (isOpen()) closePanel();
+    else openPanel();
   });
+  backdrop?.addEventListener("click", closePanel);
+  closeBtn?.addEventListener("click", closePanel);
 }
 
+// —— EPG (XMLTV files in data/epg/, listed in the manifest): Now/Next in the list and player, 24 h guide grid ——
+const EPG_DIR = "data/epg";
+/** How often Now/Next lines and the guide's "now" marker move on. */
+const EPG_REFRESH_MS = 60000;
+const EPG_GUIDE_HOURS = 24;
+/** Guide grid scale: width of one hour on the time axis. */
+const EPG_GUIDE_HOUR_PX = 240;
+
 /**
- * Set up About toggle and map quality selector; load initial map.
+ * Promise of { programmes: Map(XMLTV channel id -> [{ start, stop, title, desc, category }] by start),
+ * byName: Map(normalized display-name -> channel id) }. Kept as a promise so list renders share one load.
  */
-function initMap() {
-  const aboutToggle = document.getElementById("about-toggle");
-  const aboutSection = document.getElementById("about");
-  const qualitySelect = document.getElementById("map-quality");
+let epgGuide = null;
+/** Left edge of the guide grid (the half hour it was opened in), ms. */
+let epgGuideStart = 0;
+
+/** "20261019180000 +0200" -> ms since epoch; no offset means UTC. null when unreadable. */
+function parseXmltvTime(value) {
+  const m = String(value || "").trim().match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?\s*(?:([+-])(\d{2})(\d{2}))?/);
+  if (!m) return null;
+  const utc = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0));
+  const offset = m[7] ? (m[7] === "-" ? -1 : 1) * (+m[8] * 60 + +m[9]) * 60000 : 0;
+  return utc - offset;
+}
 
-  // About toggle
-  if (aboutToggle && aboutSection) {
-    aboutToggle.addEventListener("click", () => {
-      const hidden = aboutSection.classList.toggle("about--hidden");
-      aboutSection.setAttribute("aria-hidden", hidden);
-      aboutToggle.setAttribute("aria-expanded", !hidden);
+/**
+ * Offset that moves a fixture guide (<tv worldmedia-fixture="shift-to-today">, see make-epg-fixture.sh) by whole
+ * days so its first programme falls on today (UTC). 0 for real guides.
+ */
+function getXmltvFixtureShift(doc) {
+  if (doc.documentElement.getAttribute("worldmedia-fixture") !== "shift-to-today") return 0;
+  const first = parseXmltvTime(doc.querySelector("programme")?.getAttribute("start"));
+  if (first === null) return 0;
+  const day = 86400000;
+  return (Math.floor(Date.now() / day) - Math.floor(first / day)) * day;
+}
+
+function addXmltvToGuide(guide, doc) {
+  const shift = getXmltvFixtureShift(doc);
+  doc.querySelectorAll("channel").forEach((el) => {
+    const id = el.getAttribute("id");
+    if (!id) return;
+    el.querySelectorAll("display-name").forEach((nameEl) => {
+      const key = normalizeChannelName(nameEl.textContent);
+      if (key && !guide.byName.has(key)) guide.byName.set(key, id);
     });
-  }
+  });
+  doc.querySelectorAll("programme").forEach((el) => {
+    const id = el.getAttribute("channel");
+    const start = parseXmltvTime(el.getAttribute("start"));
+    if (!id || start === null) return;
+    const stop = parseXmltvTime(el.getAttribute("stop"));
+    const text = (tag) => el.querySelector(tag)?.textContent.trim() || "";
+    if (!guide.programmes.has(id)) guide.programmes.set(id, []);
+    guide.programmes.get(id).push({
+      start: start + shift,
+      stop: stop === null ? null : stop + shift,
+      title: text("title") || "Untitled",
+      desc: text("desc"),
+      category: text("category"),
+    });
+  });
+}
+
+function loadEpgGuide() {
+  if (epgGuide) return epgGuide;
+  epgGuide = (async () => {
+    const guide = { programmes: new Map(), byName: new Map() };
+    const manifest = await loadChannelManifest();
+    await Promise.all(manifest.epg.map(async (file) => {
+      try {
+        const res = await fetch(`${EPG_DIR}/${encodeURIComponent(file)}`);
+        if (!res.ok) return;
+        const doc = new DOMParser().parseFromString(await res.text(), "application/xml");
+        if (!doc.querySelector("parsererror")) addXmltvToGuide(guide, doc);
+      } catch (_) {}
+    }));
+    guide.programmes.forEach((list, id) => {
+      list.sort((a, b) => a.start - b.start);
+      // Same programme from two files once; a missing stop runs until the next programme
+      const unique = list.filter((p, i) => i === 0 || p.start !== list[i - 1].start);
+      unique.forEach((p, i) => {
+        if (p.stop === null) p.stop = unique[i + 1]?.start ?? p.start + 3600000;
+      });
+      guide.programmes.set(id, unique);
+    });
+    return guide;
+  })();
+  return epgGuide;
+}
+
+/**
+ * Guide channel for a channel: its tvg-id (any variant's), the same without the feed ("France24.fr@HD" ->
+ * "France24.fr"), else its name among the guide's display-names (sources without tvg-ids). null when none.
+ */
+function channelEpgId(guide, ch) {
+  const tvgIds = getChannelVariants(ch).map((v) => v.tvg_id).filter(Boolean);
+  const found = [...tvgIds, ...tvgIds.map((id) => id.split("@")[0])].find((id) => guide.programmes.has(id));
+  const byName = guide.byName.get(normalizeChannelName(ch.name));
+  return found || (byName && guide.programmes.has(byName) ? byName : null);
+}
+
+/** { now, next } programmes at `at` (either may be null). */
+function getNowNext(guide, ch, at = Date.now()) {
+  const id = channelEpgId(guide, ch);
+  const list = (id && guide.programmes.get(id)) || [];
+  const i = list.findIndex((p) => p.stop > at);
+  if (i === -1) return { now: null, next: null };
+  return list[i].start <= at ? { now: list[i], next: list[i + 1] || null } : { now: null, next: list[i] };
+}
+
+/** Local time in the user's time zone, e.g. "20:30". */
+function formatEpgTime(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+/** "Now: 20:00 Journal · Next: 20:30 Cinéma", or "" when the guide has nothing for the channel. */
+function formatNowNext({ now, next }) {
+  const parts = [];
+  if (now) parts.push(`Now: ${formatEpgTime(now.start)} ${now.title}`);
+  if (next) parts.push(`Next: ${formatEpgTime(next.start)} ${next.title}`);
+  return parts.join(" · ");
+}
+
+/** Fill the Now/Next line of every .channel-item (hidden when the guide has nothing for it). */
+async function updateChannelListEpg() {
+  const guide = await loadEpgGuide();
+  const listEl = document.getElementById("channel-list");
+  if (!listEl) return;
+  const at = Date.now();
+  listEl.querySelectorAll(".channel-item").forEach((li) => {
+    const ch = channelItemData.get(li);
+    const epgEl = li.querySelector(".channel-item-epg");
+    if (!ch || !epgEl) return;
+    const text = formatNowNext(getNowNext(guide, ch, at));
+    epgEl.textContent = text;
+    epgEl.hidden = !text;
+  });
+}
+
+/** Now/Next line under the player modal title. */
+async function updatePlayerEpg() {
+  const epgEl = document.getElementById("player-modal-epg");
+  if (!epgEl) return;
+  const channel = currentPlayerChannel;
+  const guide = channel ? await loadEpgGuide() : null;
+  if (channel !== currentPlayerChannel) return;
+  const text = channel ? formatNowNext(getNowNext(guide, channel)) : "";
+  epgEl.textContent = text;
+  epgEl.hidden = !text;
+}
+
+function isEpgGuideOpen() {
+  const guideEl = document.getElementById("epg-guide");
+  return !!guideEl && !guideEl.hidden;
+}
+
+/**
+ * Guide grid over the map: one row per listed channel with programmes in the next EPG_GUIDE_HOURS (channels that
+ * share a guide entry once), times in the user's time zone. Clicking a channel or programme plays the channel.
+ */
+async function renderEpgGuide() {
+  const gridEl = document.getElementById("epg-guide-grid");
+  const statusEl = document.getElementById("epg-guide-status");
+  const headingEl = document.getElementById("epg-guide-heading");
+  if (!gridEl) return;
+  const guide = await loadEpgGuide();
+  const start = epgGuideStart;
+  const end = start + EPG_GUIDE_HOURS * 3600000;
+  const x = (ms) => Math.round(((ms - start) / 3600000) * EPG_GUIDE_HOUR_PX);
+  const listEl = document.getElementById("channel-list");
+  const listName = document.getElementById("country-name")?.textContent || "";
+  const rows = [];
+  const seen = new Set();
+  (listEl ? Array.from(listEl.querySelectorAll(".channel-item"), (li) => channelItemData.get(li)) : []).forEach((ch) => {
+    const id = ch ? channelEpgId(guide, ch) : null;
+    if (!id || seen.has(id)) return;
+    const programmes = guide.programmes.get(id).filter((p) => p.stop > start && p.start < end);
+    if (programmes.length === 0) return;
+    seen.add(id);
+    rows.push({ ch, programmes });
+  });
 
-  // Map quality: load on change and re-apply URL state
-  if (qualitySelect) {
-    qualitySelect.addEventListener("change", () => {
-      const url = GEOJSON_BY_QUALITY[qualitySelect.value];
-      if (url) loadAndRenderCountries(url).then((selectByIso2) => applyUrlState(selectByIso2));
+  if (headingEl) headingEl.textContent = listName ? `Guide · ${listName}` : "Guide";
+  gridEl.innerHTML = "";
+  if (statusEl) {
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    statusEl.textContent = rows.length
+      ? `${rows.length} channel${rows.length === 1 ? "" : "s"} · next ${EPG_GUIDE_HOURS} h · times in ${timeZone}`
+      : listName ? "No guide data for this list." : "Select a country to see its guide.";
+  }
+  if (rows.length === 0) return;
+
+  const timeline = document.createElement("div");
+  timeline.className = "epg-guide-timeline";
+  timeline.style.setProperty("--epg-track-width", `${x(end)}px`);
+  const hoursRow = document.createElement("div");
+  hoursRow.className = "epg-guide-row epg-guide-row--hours";
+  const corner = document.createElement("div");
+  corner.className = "epg-guide-channel";
+  const hoursTrack = document.createElement("div");
+  hoursTrack.className = "epg-guide-track";
+  for (let t = start; t < end; t += 1800000) {
+    const hourEl = document.createElement("span");
+    hourEl.className = "epg-guide-hour";
+    hourEl.style.left = `${x(t)}px`;
+    hourEl.textContent = formatEpgTime(t);
+    hoursTrack.appendChild(hourEl);
+  }
+  hoursRow.append(corner, hoursTrack);
+  timeline.appendChild(hoursRow);
+
+  rows.forEach(({ ch, programmes }) => {
+    const row = document.createElement("div");
+    row.className = "epg-guide-row";
+    const channelBtn = document.createElement("button");
+    channelBtn.type = "button";
+    channelBtn.className = "epg-guide-channel";
+    channelBtn.textContent = ch.name || "Channel";
+    channelBtn.title = `Play ${ch.name || "Channel"}`;
+    channelBtn.addEventListener("click", () => openPlayerModal(ch));
+    const track = document.createElement("div");
+    track.className = "epg-guide-track";
+    programmes.forEach((p) => {
+      const left = x(Math.max(p.start, start));
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "epg-guide-programme";
+      btn.style.left = `${left}px`;
+      btn.style.width = `${Math.max(x(Math.min(p.stop, end)) - left, 2)}px`;
+      btn.setAttribute("data-start", String(p.start));
+      btn.setAttribute("data-stop", String(p.stop));
+      const timeEl = document.createElement("span");
+      timeEl.className = "epg-guide-programme-time";
+      timeEl.textContent = formatEpgTime(p.start);
+      btn.append(timeEl, " ", p.title);
+      btn.title = `${formatEpgTime(p.start)}–${formatEpgTime(p.stop)} ${p.title}`
+        + (p.category ? ` (${p.category})` : "") + (p.desc ? `\n${p.desc}` : "");
+      btn.addEventListener("click", () => openPlayerModal(ch));
+      track.appendChild(btn);
     });
+    row.append(channelBtn, track);
+    timeline.appendChild(row);
+  });
+
+  const nowEl = document.createElement("div");
+  nowEl.className = "epg-guide-now";
+  nowEl.setAttribute("aria-hidden", "true");
+  timeline.appendChild(nowEl);
+  gridEl.appendChild(timeline);
+  updateEpgGuideNow();
+}
+
+/** Move the "now" marker and highlight the programmes on air. */
+function updateEpgGuideNow() {
+  const gridEl = document.getElementById("epg-guide-grid");
+  const nowEl = gridEl?.querySelector(".epg-guide-now");
+  if (!nowEl) return;
+  const now = Date.now();
+  const offset = ((now - epgGuideStart) / 3600000) * EPG_GUIDE_HOUR_PX;
+  nowEl.hidden = offset < 0 || now > epgGuideStart + EPG_GUIDE_HOURS * 3600000;
+  nowEl.style.setProperty("--epg-now", `${Math.round(offset)}px`);
+  gridEl.querySelectorAll(".epg-guide-programme").forEach((btn) => {
+    const onAir = Number(btn.getAttribute("data-start")) <= now && now < Number(btn.getAttribute("data-stop"));
+    btn.classList.toggle("epg-guide-programme--now", onAir);
+  });
+}
+
+/** Header "Guide" toggle, Now/Next refresh every EPG_REFRESH_MS and on every opened channel. */
+function initEpg() {
+  const toggle = document.getElementById("guide-toggle");
+  const guideEl = document.getElementById("epg-guide");
+  const closeBtn = document.getElementById("epg-guide-close");
+
+  function openGuide() {
+    epgGuideStart = Math.floor(Date.now() / 1800000) * 1800000;
+    guideEl.hidden = false;
+    toggle?.setAttribute("aria-expanded", "true");
+    renderEpgGuide();
   }
 
-  // Initial load (medium = 50m), then pan/zoom and URL state
-  const initialUrl = GEOJSON_BY_QUALITY[qualitySelect?.value || "medium"];
-  loadAndRenderCountries(initialUrl).then((selectByIso2) => {
-    currentSelectByIso2 = selectByIso2;
-    const zoomSlider = document.getElementById("zoom-slider");
-    const zoomValue = document.getElementById("zoom-value");
+  function closeGuide() {
+    guideEl.hidden = true;
+    toggle?.setAttribute("aria-expanded", "false");
+  }
 
-    const panZoomApi = initPanZoom({
-      onScaleChange(scale) {
-        if (zoomSlider) zoomSlider.value = scale;
-        if (zoomValue) zoomValue.textContent = Math.round(scale * 100) + "%";
-      },
+  if (toggle && guideEl) {
+    toggle.addEventListener("click", () => {
+      if (guideEl.hidden) openGuide();
+      else closeGuide();
     });
+    closeBtn?.addEventListener("click", closeGuide);
+  }
+  addEventListener("worldmedia-player-opened", updatePlayerEpg);
+  setInterval(() => {
+    updateChannelListEpg();
+    updatePlayerEpg();
+    updateEpgGuideNow();
+  }, EPG_REFRESH_MS);
+}
 
-    if (panZoomApi && zoomSlider) {
-      zoomSlider.addEventListener("input", () => {
-        panZoomApi.setScale(parseFloat(zoomSlider.value));
-      });
-    }
+// —— Mosaic (localStorage): grid of 4 or 9 live tiles, audio from one focused tile ——
+const MOSAIC_STORAGE_KEY = "worldmedia-mosaic";
+const MOSAIC_LAYOUTS = { "2x2": 4, "3x3": 9 };
 
-    applyUrlState(selectByIso2);
+/** Runtime players per tile index: { hls, media } — destroyed when a tile is swapped, removed or the mosaic closes. */
+const mosaicPlayers = [];
+let mosaicFocusIndex = 0;
+/** Tile picked with ⇄; the next channel added to the mosaic replaces it. -1 = fill the first empty tile. */
+let mosaicReplaceIndex = -1;
 
-    const unknownBtn = document.getElementById("map-unknown-btn");
-    if (unknownBtn) {
-      unknownBtn.addEventListener("click", () => selectUnknown());
+function getMosaic() {
+  try {
+    const raw = localStorage.getItem(MOSAIC_STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : null;
+    const layout = MOSAIC_LAYOUTS[data?.layout] ? data.layout : "2x2";
+    const size = MOSAIC_LAYOUTS[layout];
+    const tiles = Array.isArray(data?.tiles) ? data.tiles.slice(0, size) : [];
+    while (tiles.length < size) tiles.push(null);
+    return { layout, tiles };
+  } catch {
+    return { layout: "2x2", tiles: [null, null, null, null] };
+  }
+}
+
+function setMosaic(data) {
+  try {
+    localStorage.setItem(MOSAIC_STORAGE_KEY, JSON.stringify({ layout: data.layout, tiles: data.tiles }));
+  } catch (_) {}
+  dispatchEvent(new CustomEvent("worldmedia-mosaic-changed"));
+}
+
+/** Channel fields a tile needs to play on its own (tiles can come from any country or category list). */
+function mosaicChannelRecord(ch) {
+  return {
+    id: ch.id || "",
+    iso: (ch.iso || "").toUpperCase(),
+    name: ch.name || "Channel",
+    type: String(ch.type || "tv").toLowerCase(),
+    url: ch.url || "",
+    logo: ch.logo || "",
+    source_name: ch.source_name || "",
+  };
+}
+
+function isMosaicOpen() {
+  const mosaicEl = document.getElementById("mosaic");
+  return !!mosaicEl && !mosaicEl.hidden;
+}
+
+function setMosaicStatus(text) {
+  const statusEl = document.getElementById("mosaic-status");
+  if (statusEl) statusEl.textContent = text || "";
+}
+
+/** Put a channel in the replace target, else the first empty tile. Returns false when the grid is full. */
+function addChannelToMosaic(ch) {
+  const data = getMosaic();
+  let index = mosaicReplaceIndex >= 0 && mosaicReplaceIndex < data.tiles.length ? mosaicReplaceIndex : data.tiles.indexOf(null);
+  if (index === -1) {
+    setMosaicStatus("Mosaic is full. Use ⇄ on a tile to replace it, or switch to 3×3.");
+    return false;
+  }
+  data.tiles[index] = mosaicChannelRecord(ch);
+  mosaicReplaceIndex = -1;
+  setMosaic(data);
+  setMosaicStatus(`${ch.name || "Channel"} added to tile ${index + 1}.`);
+  if (isMosaicOpen()) {
+    renderMosaicTile(index);
+    updateMosaicReplaceMarks();
+  }
+  return true;
+}
+
+function removeMosaicTile(index) {
+  const data = getMosaic();
+  if (index < 0 || index >= data.tiles.length) return;
+  data.tiles[index] = null;
+  if (mosaicReplaceIndex === index) mosaicReplaceIndex = -1;
+  setMosaic(data);
+  if (isMosaicOpen()) renderMosaicTile(index);
+}
+
+/** List clicks add to the mosaic while it is open; otherwise they open the player modal. */
+function activateChannel(ch) {
+  if (isMosaicOpen()) addChannelToMosaic(ch);
+  else {
+    setPlayerMini(false);
+    openPlayerModal(ch);
+  }
+}
+
+function withQueryParams(url, params) {
+  try {
+    const u = new URL(url);
+    Object.entries(params).forEach(([k, v]) => u.searchParams.set(k, v));
+    return u.toString();
+  } catch (_) {
+    return url;
+  }
+}
+
+function stopMosaicTile(index) {
+  const player = mosaicPlayers[index];
+  if (!player) return;
+  if (player.hls) player.hls.destroy();
+  if (player.media && (player.media.tagName === "VIDEO" || player.media.tagName === "AUDIO")) {
+    player.media.pause();
+    player.media.removeAttribute("src");
+    player.media.load();
+  } else if (player.media) {
+    player.media.removeAttribute("src");
+  }
+  mosaicPlayers[index] = null;
+}
+
+function stopAllMosaicTiles() {
+  for (let i = 0; i < mosaicPlayers.length; i++) stopMosaicTile(i);
+  mosaicPlayers.length = 0;
+}
+
+/**
+ * Start playback of one tile's channel into mediaWrap. TV/radio get their own hls.js instance
+ * (or native src), YouTube and Windy webcams an iframe, other webcams an <img> — same rules as openPlayerModal.
+ */
+function startMosaicTile(index, ch, mediaWrap, showError) {
+  const url = ch.url && ch.url.trim();
+  const muted = index !== mosaicFocusIndex || isPlayerModalOpen();
+  if (!url) {
+    showError("No stream URL for this channel.");
+    return;
+  }
+  if (ch.type === "youtube") {
+    const iframe = document.createElement("iframe");
+    iframe.className = "mosaic-tile-frame";
+    iframe.title = ch.name || "YouTube embed";
+    iframe.allow = "autoplay; encrypted-media; picture-in-picture";
+    iframe.src = withQueryParams(getYoutubeEmbedUrl(url), { autoplay: "1", mute: muted ? "1" : "0" });
+    mediaWrap.appendChild(iframe);
+    mosaicPlayers[index] = { hls: null, media: iframe, youtubeUrl: getYoutubeEmbedUrl(url) };
+    return;
+  }
+  if (ch.type === "webcam") {
+    const windyUrl = getWindyEmbedUrl(url);
+    let el;
+    if (windyUrl) {
+      el = document.createElement("iframe");
+      el.className = "mosaic-tile-frame";
+      el.title = ch.name || "Webcam embed";
+      el.src = windyUrl;
+    } else {
+      el = document.createElement("img");
+      el.className = "mosaic-tile-video";
+      el.alt = ch.name || "Webcam stream";
+      el.onerror = () => showError("Could not load webcam stream.");
+      el.src = url;
     }
+    mediaWrap.appendChild(el);
+    mosaicPlayers[index] = { hls: null, media: el };
+    return;
+  }
+  const isRadio = ch.type === "radio";
+  const media = document.createElement(isRadio ? "audio" : "video");
+  media.className = isRadio ? "mosaic-tile-audio" : "mosaic-tile-video";
+  media.autoplay = true;
+  media.muted = muted;
+  media.playsInline = true;
+  mediaWrap.appendChild(media);
+  if (isRadio) {
+    const label = document.createElement("span");
+    label.className = "mosaic-tile-radio";
+    label.textContent = "📻";
+    mediaWrap.appendChild(label);
+  }
+  let hls = null;
+  if (isHlsUrl(url) && typeof Hls !== "undefined" && Hls.isSupported()) {
+    hls = new Hls({ enableWorker: true });
+    hls.loadSource(url);
+    hls.attachMedia(media);
+    hls.on(Hls.Events.ERROR, (event, data) => {
+      if (data.fatal) showError("Stream error.");
+    });
+  } else {
+    media.src = url;
+  }
+  media.play().catch(() => {
+    if (!media.muted) return;
+    showError("Playback failed.");
   });
+  mosaicPlayers[index] = { hls, media };
 }
 
-function initPlayerModal() {
-  const modal = document.getElementById("player-modal");
-  const closeBtn = document.getElementById("player-modal-close");
-  const backdrop = document.getElementById("player-modal-backdrop");
-  if (!modal || !closeBtn || !backdrop) return;
-  closeBtn.addEventListener("click", closePlayerModal);
-  backdrop.addEventListener("click", closePlayerModal);
-  document.addEventListener("keydown", (e) => {
-    if (e.key === "Escape" && modal.getAttribute("aria-hidden") === "false") {
-      closePlayerModal();
+/** Audio follows the focused tile; everything is muted while the player modal is open. */
+function applyMosaicAudioFocus() {
+  const modalOpen = isPlayerModalOpen();
+  mosaicPlayers.forEach((player, i) => {
+    if (!player || !player.media) return;
+    const muted = modalOpen || i !== mosaicFocusIndex;
+    if (player.youtubeUrl) {
+      const next = withQueryParams(player.youtubeUrl, { autoplay: "1", mute: muted ? "1" : "0" });
+      if (player.media.src !== next) player.media.src = next;
+    } else if ("muted" in player.media) {
+      player.media.muted = muted;
+      if (!muted) player.media.play().catch(() => {});
     }
   });
+  document.querySelectorAll(".mosaic-tile").forEach((tile) => {
+    const isFocused = Number(tile.getAttribute("data-index")) === mosaicFocusIndex;
+    tile.classList.toggle("mosaic-tile--focused", isFocused);
+    const audioBtn = tile.querySelector(".mosaic-tile-audio-btn");
+    if (audioBtn) audioBtn.setAttribute("aria-pressed", String(isFocused));
+  });
 }
 
-document.addEventListener("worldmedia-favorites-changed", refreshFavoriteStarsInList);
+function setMosaicFocus(index) {
+  mosaicFocusIndex = index;
+  applyMosaicAudioFocus();
+}
 
-function refreshChannelsAfterTrashChange() {
-  const selectedCountryEl = document.getElementById("selected-country");
-  const countryNameEl = document.getElementById("country-name");
-  const countryCodeEl = document.getElementById("country-code");
-  if (!selectedCountryEl || selectedCountryEl.hidden) return;
-  if (countryCodeEl && countryCodeEl.textContent === "Category" && countryNameEl) {
-    loadChannelsForCategory(countryNameEl.textContent.trim());
-  } else {
-    const { country } = getUrlState();
-    if (country) loadChannelsForCountry(country);
-    else {
-      const sel = document.querySelector(".country.selected");
-      if (sel) loadChannelsForCountry(sel.getAttribute("data-iso2") || "");
-      else loadChannelsForCountry(UNKNOWN_COUNTRY_ISO);
-    }
+function updateMosaicReplaceMarks() {
+  document.querySelectorAll(".mosaic-tile").forEach((tile) => {
+    const isTarget = Number(tile.getAttribute("data-index")) === mosaicReplaceIndex;
+    tile.classList.toggle("mosaic-tile--replace", isTarget);
+    const swapBtn = tile.querySelector(".mosaic-tile-swap-btn");
+    if (swapBtn) swapBtn.setAttribute("aria-pressed", String(isTarget));
+  });
+}
+
+function mosaicTileButton(className, text, label, onClick) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "mosaic-tile-btn " + className;
+  btn.textContent = text;
+  btn.title = label;
+  btn.setAttribute("aria-label", label);
+  btn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    onClick();
+  });
+  return btn;
+}
+
+/** (Re)build one tile in #mosaic-grid from stored state and start its stream. */
+function renderMosaicTile(index) {
+  const grid = document.getElementById("mosaic-grid");
+  const tile = grid?.querySelector(`.mosaic-tile[data-index="${index}"]`);
+  if (!tile) return;
+  stopMosaicTile(index);
+  tile.innerHTML = "";
+  const ch = getMosaic().tiles[index];
+  tile.classList.toggle("mosaic-tile--empty", !ch);
+
+  const mediaWrap = document.createElement("div");
+  mediaWrap.className = "mosaic-tile-media";
+  const errorEl = document.createElement("p");
+  errorEl.className = "mosaic-tile-error";
+  errorEl.hidden = true;
+  const bar = document.createElement("div");
+  bar.className = "mosaic-tile-bar";
+
+  if (!ch) {
+    const hint = document.createElement("p");
+    hint.className = "mosaic-tile-hint";
+    hint.textContent = "Empty — click a channel in the list";
+    mediaWrap.appendChild(hint);
+    bar.append(
+      mosaicTileButton("mosaic-tile-swap-btn", "⇄", "Fill this tile next", () => {
+        mosaicReplaceIndex = mosaicReplaceIndex === index ? -1 : index;
+        updateMosaicReplaceMarks();
+      })
+    );
+    tile.append(mediaWrap, bar);
+    updateMosaicReplaceMarks();
+    return;
   }
+
+  const name = document.createElement("span");
+  name.className = "mosaic-tile-name";
+  name.textContent = ch.name + (ch.iso ? ` · ${ch.iso}` : "");
+  name.title = ch.name;
+  bar.append(
+    name,
+    mosaicTileButton("mosaic-tile-audio-btn", "🔊", "Listen to this tile", () => setMosaicFocus(index)),
+    mosaicTileButton("mosaic-tile-swap-btn", "⇄", "Replace with the next channel you pick", () => {
+      mosaicReplaceIndex = mosaicReplaceIndex === index ? -1 : index;
+      updateMosaicReplaceMarks();
+      if (mosaicReplaceIndex === index) setMosaicStatus(`Pick a channel in the list to replace tile ${index + 1}.`);
+    }),
+    mosaicTileButton("mosaic-tile-full-btn", "⛶", "Fullscreen", () => {
+      if (document.fullscreenElement === tile) document.exitFullscreen?.();
+      else tile.requestFullscreen?.();
+    }),
+    mosaicTileButton("mosaic-tile-remove-btn", "✕", "Remove from mosaic", () => removeMosaicTile(index))
+  );
+  tile.append(mediaWrap, errorEl, bar);
+  startMosaicTile(index, ch, mediaWrap, (msg) => {
+    errorEl.textContent = msg;
+    errorEl.hidden = false;
+  });
+  applyMosaicAudioFocus();
+  updateMosaicReplaceMarks();
 }
 
-document.addEventListener("worldmedia-trash-changed", () => {
-  refreshChannelsAfterTrashChange();
-});
+/** Build the grid for the stored layout and start every tile. */
+function renderMosaic() {
+  const grid = document.getElementById("mosaic-grid");
+  if (!grid) return;
+  stopAllMosaicTiles();
+  const { layout, tiles } = getMosaic();
+  if (mosaicFocusIndex >= tiles.length) mosaicFocusIndex = 0;
+  if (mosaicReplaceIndex >= tiles.length) mosaicReplaceIndex = -1;
+  grid.className = `mosaic-grid mosaic-grid--${layout}`;
+  grid.innerHTML = "";
+  tiles.forEach((_, index) => {
+    const tile = document.createElement("div");
+    tile.className = "mosaic-tile";
+    tile.setAttribute("data-index", String(index));
+    tile.addEventListener("click", () => {
+      if (getMosaic().tiles[index]) setMosaicFocus(index);
+    });
+    tile.addEventListener("dblclick", () => {
+      if (document.fullscreenElement === tile) document.exitFullscreen?.();
+      else tile.requestFullscreen?.();
+    });
+    grid.appendChild(tile);
+  });
+  tiles.forEach((_, index) => renderMosaicTile(index));
+  document.querySelectorAll("#mosaic-layouts .filter-toggle").forEach((btn) => {
+    const isActive = btn.getAttribute("data-mosaic-layout") === layout;
+    btn.classList.toggle("active", isActive);
+    btn.setAttribute("aria-checked", String(isActive));
+  });
+}
 
-/** Trash panel: list trashed channels, Restore and Empty trash. */
-function initTrashPanel() {
-  const toggle = document.getElementById("trash-toggle");
-  const panel = document.getElementById("trash-panel");
-  const listEl = document.getElementById("trash-list");
-  const emptyEl = document.getElementById("trash-empty");
-  const emptyBtn = document.getElementById("trash-empty-btn");
-  const backdrop = document.getElementById("trash-sidebar-backdrop");
-  const closeBtn = document.getElementById("trash-sidebar-close");
-  if (!toggle || !panel || !listEl) return;
+function setMosaicLayout(layout) {
+  if (!MOSAIC_LAYOUTS[layout]) return;
+  const data = getMosaic();
+  const size = MOSAIC_LAYOUTS[layout];
+  // Shrinking 3×3 → 2×2 keeps tile positions when possible, else packs channels first so empty slots go before channels
+  const keepsPositions = !data.tiles.slice(size).some(Boolean);
+  const tiles = (keepsPositions ? data.tiles : data.tiles.filter(Boolean)).slice(0, size);
+  while (tiles.length < size) tiles.push(null);
+  setMosaic({ layout, tiles });
+  if (isMosaicOpen()) renderMosaic();
+}
 
-  function openPanel() {
-    panel.classList.remove("favorites-sidebar--closed");
-    panel.setAttribute("aria-hidden", "false");
-    toggle.setAttribute("aria-expanded", "true");
-    renderTrashList();
+/** Mosaic view over the map: header toggle, layout switch, clear; playback stops when it is hidden. */
+function initMosaic() {
+  const toggle = document.getElementById("mosaic-toggle");
+  const mosaicEl = document.getElementById("mosaic");
+  const closeBtn = document.getElementById("mosaic-close");
+  const clearBtn = document.getElementById("mosaic-clear");
+  if (!toggle || !mosaicEl) return;
+
+  function updateToggleLabel() {
+    const count = getMosaic().tiles.filter(Boolean).length;
+    toggle.textContent = count ? `Mosaic (${count})` : "Mosaic";
   }
 
-  function closePanel() {
-    panel.classList.add("favorites-sidebar--closed");
-    panel.setAttribute("aria-hidden", "true");
-    toggle.setAttribute("aria-expanded", "false");
+  function openMosaic() {
+    mosaicEl.hidden = false;
+    toggle.setAttribute("aria-expanded", "true");
+    setMosaicStatus("Click channels in the list to add them. 🔊 picks the audio tile.");
+    renderMosaic();
   }
 
-  function renderTrashList() {
-    const list = getTrash();
-    emptyEl.hidden = list.length > 0;
-    listEl.innerHTML = "";
-    list.forEach((entry) => {
-      const row = document.createElement("div");
-      row.className = "favorites-row favorites-row--channel trash-row";
-      const main = document.createElement("div");
-      main.className = "favorites-row-main";
-      main.textContent = entry.name || "Channel";
-      const meta = document.createElement("span");
-      meta.className = "favorites-row-meta";
-      meta.textContent = entry.iso || "";
-      const restoreBtn = document.createElement("button");
-      restoreBtn.type = "button";
-      restoreBtn.className = "favorites-play";
-      restoreBtn.textContent = "Restore";
-      restoreBtn.title = "Remove from trash and show in lists again";
-      restoreBtn.addEventListener("click", (e) => {
-        e.stopPropagation();
-        removeChannelFromTrash(entry.iso, entry.slug);
-        renderTrashList();
-      });
-      row.append(main, meta, restoreBtn);
-      listEl.appendChild(row);
-    });
+  function closeMosaic() {
+    stopAllMosaicTiles();
+    mosaicEl.hidden = true;
+    toggle.setAttribute("aria-expanded", "false");
+    mosaicReplaceIndex = -1;
   }
 
   toggle.addEventListener("click", () => {
-    if (panel.classList.contains("favorites-sidebar--closed")) openPanel();
-    else closePanel();
+    if (mosaicEl.hidden) openMosaic();
+    else closeMosaic();
   });
-  backdrop?.addEventListener("click", closePanel);
-  closeBtn?.addEventListener("click", closePanel);
-  emptyBtn?.addEventListener("click", () => {
-    emptyTrash();
-    renderTrashList();
+  closeBtn?.addEventListener("click", closeMosaic);
+  clearBtn?.addEventListener("click", () => {
+    const { layout } = getMosaic();
+    setMosaic({ layout, tiles: [] });
+    renderMosaic();
   });
-  addEventListener("worldmedia-trash-changed", () => {
-    if (!panel.classList.contains("favorites-sidebar--closed")) renderTrashList();
+  document.querySelectorAll("#mosaic-layouts .filter-toggle").forEach((btn) => {
+    btn.addEventListener("click", () => setMosaicLayout(btn.getAttribute("data-mosaic-layout")));
+  });
+
+  addEventListener("worldmedia-mosaic-changed", updateToggleLabel);
+  addEventListener("worldmedia-player-opened", () => {
+    if (isMosaicOpen()) applyMosaicAudioFocus();
+  });
+  addEventListener("worldmedia-player-closed", () => {
+    if (isMosaicOpen()) applyMosaicAudioFocus();
   });
+  updateToggleLabel();
+}
+
+/** Reflect the sidebar's mode ("country" or "categories") in the By country / By categories header buttons. */
+function setViewModeButtons(mode) {
+  document.getElementById("by-country-btn")?.setAttribute("aria-pressed", String(mode === "country"));
+  document.getElementById("by-categories-btn")?.setAttribute("aria-pressed", String(mode === "categories"));
 }
 
 /** Categories modal: open/close and populate list. By country / By categories header buttons. */
@@ -1943,8 +6386,7 @@ function initViewMode() {
   }
 
   function openCategoriesModal() {
-    byCountryBtn.setAttribute("aria-pressed", "false");
-    byCategoriesBtn.setAttribute("aria-pressed", "true");
+    setViewModeButtons("categories");
     categoriesModal.hidden = false;
     categoriesModal.setAttribute("aria-hidden", "false");
     if (categoriesSearchInput) categoriesSearchInput.value = "";
@@ -1973,8 +6415,7 @@ function initViewMode() {
     if (categoriesModal.hidden) openCategoriesModal();
   });
   byCountryBtn.addEventListener("click", () => {
-    byCountryBtn.setAttribute("aria-pressed", "true");
-    byCategoriesBtn.setAttribute("aria-pressed", "false");
+    setViewModeButtons("country");
     if (!categoriesModal.hidden) closeCategoriesModal();
   });
   if (categoriesModalClose) {
@@ -1994,8 +6435,21 @@ function initViewMode() {
 
 initMap();
 initPlayerModal();
+initPlayerSettings();
+initRadioBar();
+initHideOfflineToggle();
+initRegionFilter();
+initLocalTime();
+initTimers();
+initRecording();
+initMapStyle();
 initFavoritesPanel();
 initTrashPanel();
+initHistoryPanel();
+initWhatsNew();
+initMosaic();
+initEpg();
+migrateChannelRefs();
 initViewMode();
 
 const filterTextEl = document.getElementById("filter-text");